@@ -0,0 +1,7 @@
+#!/usr/bin/env node
+const { main } = require('../lib/cli');
+
+main(process.argv.slice(2)).catch((e) => {
+  process.stderr.write(`expire-fs: ${e.message || e}\n`);
+  process.exitCode = 1;
+});
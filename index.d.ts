@@ -1,7 +1,121 @@
-import {Stats} from "fs";
+import {Dirent, Stats} from "fs";
+
+declare class ExpireGlobs {
+  constructor(options: { base: string, patterns?: string | string[], parent?: ExpireGlobs | null });
+
+  static readonly IGNORE_FILE: string;
+
+  readonly base: string;
+  readonly parent: ExpireGlobs | null;
+
+  child(dirname: string, text: string): ExpireGlobs;
+
+  test(path: string, isDir: boolean): boolean;
+}
+
+interface ExpireFSBackend {
+  list(dirname: string): Array<string | Dirent> | Promise<Array<string | Dirent>>
+  stat(filename: string): Stats | Promise<Stats>
+  readFile(filename: string): string | Promise<string>
+  removeFile(filename: string): void | Promise<void>
+  removeDir(dirname: string): void | Promise<void>
+  move?(from: string, to: string): void | Promise<void>
+  mkdir?(dirname: string): void | Promise<void>
+  diskUsage(filename: string): { total: number, available: number } | Promise<{ total: number, available: number }>
+  inodeUsage?(filename: string): { files: number, ffree: number } | null | Promise<{ files: number, ffree: number } | null>
+  now?(): number
+}
+
+declare class ExpireFsBackend implements ExpireFSBackend {
+  constructor(options?: { async?: boolean });
+
+  readonly async: boolean;
+
+  list(dirname: string): Dirent[] | Promise<Dirent[]>;
+
+  stat(filename: string): Stats | Promise<Stats>;
+
+  readFile(filename: string): string | Promise<string>;
+
+  removeFile(filename: string): void | Promise<void>;
+
+  removeDir(dirname: string): void | Promise<void>;
+
+  move(from: string, to: string): void | Promise<void>;
+
+  mkdir(dirname: string): void | Promise<void>;
+
+  diskUsage(filename: string): { total: number, available: number } | Promise<{ total: number, available: number }>;
+
+  inodeUsage(filename: string): { files: number, ffree: number } | null | Promise<{ files: number, ffree: number } | null>;
+}
+
+interface ExpireMemoryFileOptions {
+  size?: number
+  blocks?: number
+  content?: string
+  atime?: number | Date
+  mtime?: number | Date
+  ctime?: number | Date
+  birthtime?: number | Date
+}
+
+declare class ExpireMemoryBackend implements ExpireFSBackend {
+  constructor(options?: { capacity?: number, inodes?: number, now?: number });
+
+  capacity: number;
+
+  inodes: number;
+
+  readonly used: number;
+
+  now(): number;
+
+  advance(ms: number): void;
+
+  mkdir(dirname: string): void;
+
+  writeFile(filename: string, options?: ExpireMemoryFileOptions): void;
+
+  link(existing: string, filename: string): void;
+
+  exists(filename: string): boolean;
+
+  list(dirname: string): string[];
+
+  stat(filename: string): Stats;
+
+  readFile(filename: string): string;
+
+  removeFile(filename: string): void;
+
+  removeDir(dirname: string): void;
+
+  diskUsage(): { total: number, available: number, free: number };
+
+  inodeUsage(): { files: number, ffree: number };
+}
+
+interface ExpireLogger {
+  info(message: string): void
+  warn(message: string): void
+  error?(message: string): void
+}
 
 declare class ExpireEntry {
-  constructor({ async, path, parent }: { async?: boolean, path: string, parent: ExpireEntry | null })
+  constructor({ async, path, parent, stats, limit, statThrottle, backend, onError, ignore, lockFile, logger }: {
+    async?: boolean,
+    path: string,
+    parent: ExpireEntry | null,
+    stats?: Stats | null,
+    limit?: <T>(fn: () => T | Promise<T>) => Promise<T>,
+    statThrottle?: () => Promise<void>,
+    backend?: ExpireFSBackend | null,
+    onError?: (operation: 'scan' | 'delete' | 'policy', path: string, error: Error, entry: ExpireEntry) => void,
+    ignore?: ExpireGlobs | null,
+    lockFile?: string | null,
+    logger?: ExpireLogger
+  })
 
   readonly path: string;
   readonly basename: string;
@@ -15,53 +129,385 @@ declare class ExpireEntry {
   readonly childrenList: string[];
   readonly hasChildren: boolean;
   readonly childrenValues: ExpireEntry[];
+  readonly overrides: ExpireOverrides | null;
 
   getTime(type: 'atime' | 'mtime' | 'ctime' | 'birthtime'): number;
 
   populate(): Promise<void>;
 
-  delete({ keepEmptyParent, dry, removeRoot }?: { keepEmptyParent: boolean, dry: boolean, removeRoot: boolean }): Promise<void>;
+  refresh(): Promise<void>;
+
+  addChild(name: string): Promise<ExpireEntry | null>;
+
+  delete({ keepEmptyParent, dry, removeRoot, moveTo, remove, onDelete, onDeleteError, deleteThrottle }?: {
+    keepEmptyParent?: boolean,
+    dry?: boolean,
+    removeRoot?: boolean,
+    moveTo?: string | null,
+    remove?: ((e: ExpireEntry) => Promise<void>) | null,
+    onDelete?: ((e: ExpireEntry) => void) | null,
+    onDeleteError?: ((e: ExpireEntry, error: Error) => void) | null,
+    deleteThrottle?: ((e: ExpireEntry) => Promise<void>) | null
+  }): Promise<boolean>;
 
   traverse(cb: (e: ExpireEntry) => any): void;
 
   traverseAsync(cb: (e: ExpireEntry) => Promise<any>): Promise<void>;
 
+  totalSize(): number;
+
   list(): ExpireEntry[]
 }
 
-interface ExpireFSConstructorOptions {
+interface ExpireRetentionOptions {
+  last?: number
+  hourly?: number
+  daily?: number
+  weekly?: number
+  monthly?: number
+  yearly?: number
+  group?: RegExp | ((path: string, stats: Stats) => string)
+}
+
+interface ExpireOverrides {
+  expire?: number
+  minimumAge?: number
+  filter?: RegExp
+  timeType?: 'atime' | 'mtime' | 'ctime' | 'birthtime'
+  pressure?: boolean
+}
+
+interface ExpirePolicy {
+  expire: number
+  minimumAge: number
+  filter: RegExp | ((path: string, stats: Stats) => boolean)
+  timeType: 'atime' | 'mtime' | 'ctime' | 'birthtime'
+  pressure: boolean
+}
+
+interface ExpireRuleOptions {
+  folder?: string
+  timeType?: 'atime' | 'mtime' | 'ctime' | 'birthtime'
+  filter?: RegExp | ((path: string, stats: Stats) => boolean)
+  expire?: number
+  minimumAge?: number
+  maxSize?: number
+  maxFiles?: number
+  maxFilesPerDir?: boolean
+  retention?: ExpireRetentionOptions | null
+  include?: string | string[] | null
+  exclude?: string | string[] | null
+  groupBy?: RegExp | ((path: string, stats: Stats) => string | null) | null
+  groupAge?: 'newest' | 'oldest'
+}
+
+declare class ExpireRule {
+  constructor(options: ExpireRuleOptions & { unsafe?: boolean, now?: () => number });
+
+  readonly folder: string;
+  readonly timeType: 'atime' | 'mtime' | 'ctime' | 'birthtime';
+  readonly filter: RegExp | ((path: string, stats: Stats) => boolean);
+  readonly expire: number;
+  readonly minimumAge: number;
+  readonly maxSize: number;
+  readonly maxFiles: number;
+  readonly maxFilesPerDir: boolean;
+  readonly retention: ExpireRetentionOptions | null;
+  readonly include: string | string[] | null;
+  readonly exclude: string | string[] | null;
+  readonly groupBy: RegExp | ((path: string, stats: Stats) => string | null) | null;
+  readonly groupAge: 'newest' | 'oldest';
+  readonly ignore: ExpireGlobs;
+
+  contains(path: string): boolean;
+
+  matches(path: string, stats: Stats): boolean;
+
+  retentionGroup(path: string, stats: Stats): string;
+
+  groupOf(path: string, stats: Stats): string | null;
+
+  setOverrides(overrides: Map<string, ExpireOverrides>): void;
+
+  policy(path: string): ExpirePolicy;
+
+  age(stats: Stats, path?: string | null): number;
+
+  isExpired(path: string, stats: Stats): boolean;
+}
+
+interface ExpireFSTrashOptions {
   folder: string
+  expire?: number
+  maxSize?: number
+  emptyOnPressure?: boolean
+}
+
+interface ExpireFSArchiveOptions {
+  folder: string
+  expire?: number
+  maxSize?: number
+}
+
+interface ExpireFSAuditOptions {
+  file: string
+  maxSize?: number
+  maxFiles?: number
+}
+
+interface ExpireFSLockOptions {
+  file?: string
+  heartbeat?: number
+  stale?: number
+}
+
+interface ExpireFSLockStatus {
+  file: string
+  held: boolean
+  stale: boolean
+  holder: {
+    pid: number
+    hostname: string
+    acquiredAt: string
+    heartbeatAt: Date
+  } | null
+}
+
+interface ExpireFSLockEvent {
+  file: string
+}
+
+interface ExpireFSMetricsOptions {
+  port: number
+  host?: string
+  path?: string
+}
+
+type ExpireFSReason = 'expire' | 'retention' | 'max-files' | 'max-size' | 'pressure' | 'inode-pressure' | 'empty-dir';
+
+interface ExpireFSDeleteEvent {
+  entry: ExpireEntry
+  rule: ExpireRule
+  reason: ExpireFSReason
+  action: 'unlink' | 'trash' | 'archive' | 'rmdir'
+  dry: boolean
+}
+
+interface ExpireFSSkipEvent {
+  entry: ExpireEntry
+  rule: ExpireRule
+  reason: 'not-expired' | 'minimum-age' | 'retention'
+}
+
+interface ExpireFSScanErrorEvent {
+  entry: ExpireEntry | null
+  path: string
+  error: Error
+}
+
+interface ExpireFSDeleteErrorEvent {
+  entry: ExpireEntry
+  rule: ExpireRule
+  reason: ExpireFSReason
+  error: Error
+}
+
+interface ExpirePlanItem {
+  path: string
+  type: 'file' | 'dir'
+  reason: ExpireFSReason
+  description: string
+  action: 'unlink' | 'trash' | 'archive' | 'rmdir'
+  rule: string
+  size: number
+  timeType: 'atime' | 'mtime' | 'ctime' | 'birthtime'
+  time: string
+  mtime: string
+  expiredBy?: number
+  group?: string
+}
+
+interface ExpirePlanCounts {
+  files: number
+  dirs: number
+  bytes: number
+}
+
+interface ExpirePlan {
+  version: 1
+  createdAt: string
+  items: ExpirePlanItem[]
+  totals: ExpirePlanCounts & { reasons: { [reason: string]: ExpirePlanCounts } }
+}
+
+interface ExpirePlanResult {
+  deleted: ExpireEntry[]
+  skipped: {
+    item: ExpirePlanItem
+    cause: 'missing' | 'changed' | 'not-owned' | 'excluded' | 'not-expired' | 'minimum-age' |
+      'no-pressure' | 'under-limit' | 'retained' | 'not-empty' | 'error' | 'locked'
+  }[]
+}
+
+interface ExpireFSThrottleOptions {
+  maxDeletesPerSecond?: number
+  maxBytesPerSecond?: number
+}
+
+interface ExpireFSPressureEvent {
+  path: string
+  usage: number
+}
+
+interface ExpireFSPressureUnsatisfiedEvent extends ExpireFSPressureEvent {
+  toFree: number
+}
+
+interface ExpireFSCandidate {
+  path: string
+  stats: Stats
+  rule: ExpireRule
+  group?: string
+}
+
+interface ExpireFSScheduleOptions {
+  cron?: string | string[] | null
+  windows?: string | string[] | null
+  pressureInterval?: number
+}
+
+interface ExpireFSNextRun {
+  clean: Date | null
+  pressure: Date | null
+}
+
+interface ExpireFSConstructorOptions {
+  folder?: string
   unsafe?: boolean,
   timeType?: 'atime' | 'mtime' | 'ctime' | 'birthtime'
   filter?: RegExp
   expire?: number
   pressure?: number
+  pressureHigh?: number
+  pressureLow?: number
+  inodePressure?: number
+  pressureStrategy?: 'oldest' | 'atime' | 'largest' | 'age-size' |
+    { compare: (a: ExpireFSCandidate, b: ExpireFSCandidate) => number } |
+    { score: (file: ExpireFSCandidate) => number }
   minimumAge?: number
+  maxSize?: number
+  maxFiles?: number
+  maxFilesPerDir?: boolean
+  retention?: ExpireRetentionOptions | null
+  include?: string | string[] | null
+  exclude?: string | string[] | null
+  groupBy?: RegExp | ((path: string, stats: Stats) => string | null) | null
+  groupAge?: 'newest' | 'oldest'
+  rules?: ExpireRuleOptions[]
+  trash?: string | ExpireFSTrashOptions
+  archive?: string | ExpireFSArchiveOptions
+  audit?: string | ExpireFSAuditOptions
+  lock?: boolean | string | ExpireFSLockOptions | null
+  metrics?: number | ExpireFSMetricsOptions
   interval?: number
+  schedule?: string | ExpireFSScheduleOptions | null,
+  incremental?: boolean,
+  reconcileInterval?: number,
+  concurrency?: number,
+  maxDeletesPerSecond?: number,
+  maxBytesPerSecond?: number,
+  maxStatsPerSecond?: number,
+  criticalPressure?: number | null,
+  criticalThrottle?: ExpireFSThrottleOptions | null,
+  stream?: boolean,
   autoStart?: boolean,
   removeEmptyDirs?: boolean,
   removeCleanedDirs?: boolean,
   removeRoot?: boolean,
   async?: boolean,
+  backend?: ExpireFSBackend | null,
   dry?: boolean,
+  logger?: ExpireLogger,
 }
 
 declare class ExpireFS {
+  private _ruleFor(path: string, stats: Stats): ExpireRule | null;
+
   private _shouldDelete(path: string, stats: Stats): boolean;
 
-  private _expire({ entry, dry }: { entry: ExpireEntry, dry?: boolean }): Promise<ExpireEntry>;
+  private _expire({ entry, rule, dry }: { entry: ExpireEntry, rule: ExpireRule, dry?: boolean }): Promise<ExpireEntry[]>;
 
-  private _pressure({ entry, dry }: { entry: ExpireEntry, dry?: boolean }): Promise<ExpireEntry>;
+  private _pressure({ trees, dry }: { trees: { rule: ExpireRule, entry: ExpireEntry }[], dry?: boolean }): Promise<ExpireEntry[]>;
 
   constructor(props: ExpireFSConstructorOptions);
 
+  readonly rules: ExpireRule[];
+
+  readonly trash: Required<ExpireFSTrashOptions> | null;
+
+  readonly archive: Required<ExpireFSArchiveOptions> | null;
+
+  readonly audit: Required<ExpireFSAuditOptions> | null;
+
+  readonly lock: Required<ExpireFSLockOptions> | null;
+
+  readonly metricsServer: Required<ExpireFSMetricsOptions> | null;
+
+  readonly logger: ExpireLogger;
+
+  readonly backend: ExpireFSBackend;
+
+  readonly maxDeletesPerSecond: number;
+
+  readonly maxBytesPerSecond: number;
+
+  readonly maxStatsPerSecond: number;
+
+  readonly pressureHigh: number;
+
+  readonly pressureLow: number;
+
+  criticalPressure: number | null;
+
+  readonly criticalThrottle: Required<ExpireFSThrottleOptions>;
+
+  on(event: 'delete', listener: (e: ExpireFSDeleteEvent) => void): this;
+
+  on(event: 'skip', listener: (e: ExpireFSSkipEvent) => void): this;
+
+  on(event: 'scan-error', listener: (e: ExpireFSScanErrorEvent) => void): this;
+
+  on(event: 'delete-error', listener: (e: ExpireFSDeleteErrorEvent) => void): this;
+
+  on(event: 'pressure-start' | 'pressure-end', listener: (e: ExpireFSPressureEvent) => void): this;
+
+  on(event: 'pressure-unsatisfied', listener: (e: ExpireFSPressureUnsatisfiedEvent) => void): this;
+
+  on(event: 'lock-acquired' | 'lock-lost', listener: (e: ExpireFSLockEvent) => void): this;
+
+  on(event: 'clean', listener: (deleted: ExpireEntry[]) => void): this;
+
+  on(event: 'error', listener: (error: Error) => void): this;
+
   list(): Promise<ExpireEntry>;
 
-  clean({ dry }?: { dry: boolean }): Promise<ExpireEntry[]>;
+  clean({ dry, signal, pressureOnly }?: { dry?: boolean, signal?: ExpireFS.ExpireSignal | null, pressureOnly?: boolean }): Promise<ExpireEntry[]>;
+
+  plan({ signal }?: { signal?: ExpireFS.ExpireSignal | null }): Promise<ExpirePlan>;
 
-  stop(): boolean;
+  apply(plan: ExpirePlan, { signal }?: { signal?: ExpireFS.ExpireSignal | null }): Promise<ExpirePlanResult>;
+
+  restore(path: string): Promise<string>;
+
+  lockStatus(): Promise<ExpireFSLockStatus | null>;
+
+  metrics(): string;
+
+  stop(): Promise<boolean>;
 
   start(): boolean;
+
+  nextRun(): ExpireFSNextRun;
 }
 
 
@@ -72,6 +518,15 @@ declare namespace ExpireFS {
     creation_time: 'ctime',
     birth_time: 'birthtime'
   }
+
+  const FsBackend: typeof ExpireFsBackend;
+
+  const MemoryBackend: typeof ExpireMemoryBackend;
+
+  // an AbortSignal will do
+  interface ExpireSignal {
+    readonly aborted: boolean
+  }
 }
 
 
@@ -0,0 +1,310 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const openAsync = (filename, flags) => new Promise((res, rej) => fs.open(filename, flags, (e, fd) => e ? rej(e) : res(fd)));
+const closeAsync = fd => new Promise((res, rej) => fs.close(fd, e => e ? rej(e) : res()));
+const fsyncAsync = fd => new Promise((res, rej) => fs.fsync(fd, e => e ? rej(e) : res()));
+const unlinkAsync = filename => new Promise((res, rej) => fs.unlink(filename, e => e ? rej(e) : res()));
+const readAsync = (fd, buffer, position) => new Promise((res, rej) => fs.read(fd, buffer, 0, buffer.length, position, (e, n) => e ? rej(e) : res(n)));
+
+const BLOCK = 512;
+const CHUNK = 64 * 1024;
+// 11 octal digits
+const MAX_OCTAL_SIZE = 8589934591;
+
+/**
+ * @param {number} value
+ * @param {number} length - field length, NUL included
+ * @return {string}
+ */
+const octal = (value, length) => {
+  let str = Math.floor(value).toString(8);
+  while (str.length < length - 1) {
+    str = '0' + str;
+  }
+  return str + '\0';
+};
+
+/**
+ * @param {number} size
+ * @return {number} - bytes of padding to the next block
+ */
+const padding = size => (BLOCK - size % BLOCK) % BLOCK;
+
+/**
+ * Splits a name into ustar `prefix` and `name`, null if it doesn't fit
+ * @param {string} name
+ * @return {{prefix: string, name: string}|null}
+ */
+const splitName = (name) => {
+  if (Buffer.byteLength(name) <= 100) {
+    return { prefix: '', name };
+  }
+  for (let i = name.indexOf('/'); i !== -1; i = name.indexOf('/', i + 1)) {
+    const prefix = name.slice(0, i);
+    const rest = name.slice(i + 1);
+    if (Buffer.byteLength(prefix) <= 155 && Buffer.byteLength(rest) <= 100) {
+      return { prefix, name: rest };
+    }
+  }
+  return null;
+};
+
+/**
+ * @param {string} name
+ * @param {number} size
+ * @param {number} mode
+ * @param {number} mtime - milliseconds
+ * @param {string} type - '0' for files, 'x' for pax headers
+ * @return {Buffer}
+ */
+const header = ({ name, size, mode, mtime, type }) => {
+  const split = splitName(name) || { prefix: '', name: name.slice(-100) };
+  const buf = Buffer.alloc(BLOCK);
+
+  buf.write(split.name, 0, 100);
+  buf.write(octal(mode & 0o7777, 8), 100);
+  buf.write(octal(0, 8), 108);
+  buf.write(octal(0, 8), 116);
+  buf.write(octal(size > MAX_OCTAL_SIZE ? 0 : size, 12), 124);
+  buf.write(octal(mtime / 1000, 12), 136);
+  buf.write('        ', 148);
+  buf.write(type, 156);
+  buf.write('ustar\0', 257);
+  buf.write('00', 263);
+  buf.write(split.prefix, 345, 155);
+
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) {
+    sum += buf[i];
+  }
+  buf.write(octal(sum, 7) + ' ', 148);
+  return buf;
+};
+
+/**
+ * @param {string} key
+ * @param {string} value
+ * @return {string} - `<length> key=value\n`, length included
+ */
+const paxRecord = (key, value) => {
+  const body = ` ${key}=${value}\n`;
+  const bodyLength = Buffer.byteLength(body);
+  let length = bodyLength + String(bodyLength).length;
+  if (String(length).length + bodyLength !== length) {
+    length++;
+  }
+  return length + body;
+};
+
+/**
+ * Writes files into a .tar.gz bundle, the bundle is complete and fsynced after `commit()`.
+ * Once adding a file failed, a truncated entry may be in the bundle: later adds and `commit()` reject,
+ * the bundle can only be aborted.
+ */
+class ExpireArchive {
+  /**
+   * @param {string} file - bundle to create, must not exist
+   * @param {string} base - names in the bundle are relative to this folder
+   */
+  constructor({ file, base }) {
+    this.file = file;
+    this.base = base;
+
+    /**
+     * files added to the bundle
+     * @type {{filename: string, stats: Stats, data: *}[]}
+     */
+    this.files = [];
+
+    this._fd = null;
+    this._gzip = null;
+    this._out = null;
+    this._error = null;
+    /**
+     * set once an add failed
+     * @type {Error|null}
+     * @private
+     */
+    this._failed = null;
+    // adds are serialized, entries can't interleave
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * @param {string} filename
+   * @param {Stats} stats
+   * @param {*=} data - kept along the file in `files`
+   * @return {Promise<void>}
+   */
+  add(filename, stats, data = null) {
+    const added = this._queue.then(() => {
+      if (this._failed) {
+        throw this._failed;
+      }
+      return this._add(filename, stats, data).catch((e) => {
+        this._failed = new Error(`bundle ${this.file} aborted, adding ${filename} failed: ${e.message || e}`);
+        throw e;
+      });
+    });
+    this._queue = added.catch(() => {});
+    return added;
+  }
+
+  /**
+   * @param {string} filename
+   * @param {Stats} stats
+   * @param {*} data
+   * @return {Promise<void>}
+   * @private
+   */
+  async _add(filename, stats, data) {
+    if (!this._gzip) {
+      await this._open();
+    }
+
+    const fd = await openAsync(filename, 'r');
+    try {
+      const name = path.relative(this.base, filename).split(path.sep).join('/');
+
+      const pax = [];
+      if (!splitName(name)) {
+        pax.push(paxRecord('path', name));
+      }
+      if (stats.size > MAX_OCTAL_SIZE) {
+        pax.push(paxRecord('size', String(stats.size)));
+      }
+      if (pax.length) {
+        const records = Buffer.from(pax.join(''));
+        await this._write(header({
+          name: 'PaxHeader/' + path.basename(filename),
+          size: records.length,
+          mode: 0o644,
+          mtime: stats.mtime.getTime(),
+          type: 'x'
+        }));
+        await this._write(Buffer.concat([records, Buffer.alloc(padding(records.length))]));
+      }
+
+      await this._write(header({
+        name,
+        size: stats.size,
+        mode: stats.mode,
+        mtime: stats.mtime.getTime(),
+        type: '0'
+      }));
+
+      let position = 0;
+      while (position < stats.size) {
+        const chunk = Buffer.alloc(Math.min(CHUNK, stats.size - position));
+        const read = await readAsync(fd, chunk, position);
+        // file shrank while archiving, keep the entry size
+        if (read === 0) {
+          break;
+        }
+        await this._write(read === chunk.length ? chunk : chunk.slice(0, read));
+        position += read;
+      }
+      await this._write(Buffer.alloc(stats.size - position + padding(stats.size)));
+    } finally {
+      await closeAsync(fd);
+    }
+
+    this.files.push({ filename, stats, data });
+  }
+
+  /**
+   * Ends the bundle and waits until it's on disk.
+   * @return {Promise<void>}
+   */
+  async commit() {
+    await this._queue;
+    if (this._failed) {
+      throw this._failed;
+    }
+    if (!this._gzip) {
+      return;
+    }
+
+    const finished = new Promise((res, rej) => {
+      this._out.on('finish', res);
+      this._out.on('error', rej);
+      this._gzip.on('error', rej);
+    });
+    await this._write(Buffer.alloc(BLOCK * 2));
+    this._gzip.end();
+    await finished;
+
+    await fsyncAsync(this._fd);
+    await closeAsync(this._fd);
+    this._fd = null;
+
+    // make the new directory entry durable too, not possible on every platform
+    try {
+      const dirFd = await openAsync(path.dirname(this.file), 'r');
+      await fsyncAsync(dirFd).catch(() => {});
+      await closeAsync(dirFd);
+    } catch (e) {
+      // ignore
+    }
+  }
+
+  /**
+   * Drops the partial bundle.
+   * @return {Promise<void>}
+   */
+  async abort() {
+    if (this._gzip) {
+      this._gzip.unpipe();
+      this._gzip.destroy && this._gzip.destroy();
+    }
+    if (this._fd !== null) {
+      await closeAsync(this._fd).catch(() => {});
+      this._fd = null;
+      await unlinkAsync(this.file).catch(() => {});
+    }
+  }
+
+  /**
+   * @return {Promise<void>}
+   * @private
+   */
+  async _open() {
+    this._fd = await openAsync(this.file, 'wx');
+    this._out = fs.createWriteStream(this.file, { fd: this._fd, autoClose: false });
+    this._gzip = zlib.createGzip();
+    this._gzip.on('error', (e) => {
+      this._error = this._error || e;
+    });
+    this._out.on('error', (e) => {
+      this._error = this._error || e;
+    });
+    this._gzip.pipe(this._out);
+  }
+
+  /**
+   * @param {Buffer} buf
+   * @return {Promise<void>}
+   * @private
+   */
+  _write(buf) {
+    if (this._error) {
+      return Promise.reject(this._error);
+    }
+    if (this._gzip.write(buf)) {
+      return Promise.resolve();
+    }
+    return new Promise((res, rej) => {
+      const done = (e) => {
+        this._gzip.removeListener('drain', done);
+        this._gzip.removeListener('error', done);
+        e ? rej(e) : res();
+      };
+      this._gzip.on('drain', done);
+      this._gzip.on('error', done);
+    });
+  }
+}
+
+module.exports = ExpireArchive;
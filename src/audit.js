@@ -0,0 +1,129 @@
+const fs = require('fs');
+
+const statsAsync = filename => new Promise((res, rej) => fs.stat(filename, (e, s) => e ? rej(e) : res(s)));
+const appendFileAsync = (filename, data) => new Promise((res, rej) => fs.appendFile(filename, data, e => e ? rej(e) : res()));
+const renameAsync = (from, to) => new Promise((res, rej) => fs.rename(from, to, e => e ? rej(e) : res()));
+const unlinkAsync = filename => new Promise((res, rej) => fs.unlink(filename, e => e ? rej(e) : res()));
+
+/**
+ * Appends JSON lines to a log file, rotated to `file.1` … `file.<maxFiles>` once it reaches `maxSize`.
+ * Writes are batched and never fail the caller, errors are reported to the logger.
+ */
+class ExpireAudit {
+  /**
+   * @param {string} file
+   * @param {number=} [maxSize=10485760] - bytes | rotate once the log reaches this size
+   * @param {number=} [maxFiles=5] - rotated logs to keep
+   * @param {{warn: function}=} [logger=console]
+   */
+  constructor({ file, maxSize = 10 * 1024 * 1024, maxFiles = 5, logger = console }) {
+    this.file = file;
+    this.maxSize = maxSize;
+    this.maxFiles = maxFiles;
+    this._logger = logger;
+
+    /**
+     * lines waiting for the next write
+     * @type {string[]}
+     * @private
+     */
+    this._pending = [];
+    /**
+     * size of the current log, read on first write
+     * @type {number|null}
+     * @private
+     */
+    this._size = null;
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * @param {Object} record
+   */
+  write(record) {
+    this._pending.push(JSON.stringify(record) + '\n');
+    if (this._pending.length === 1) {
+      this._queue = this._queue.then(() => this._flush());
+    }
+  }
+
+  /**
+   * @return {Promise<void>} - resolves once every written record is on disk
+   */
+  flush() {
+    return this._queue;
+  }
+
+  /**
+   * @return {Promise<void>}
+   * @private
+   */
+  async _flush() {
+    const lines = this._pending;
+    this._pending = [];
+
+    try {
+      if (this._size === null) {
+        this._size = await statsAsync(this.file).then(s => s.size, () => 0);
+      }
+
+      let chunk = '';
+      let chunkSize = 0;
+      for (let i = 0; i < lines.length; i++) {
+        const length = Buffer.byteLength(lines[i]);
+        // a line bigger than maxSize still goes to a log of its own
+        if (this._size + chunkSize + length > this.maxSize && this._size + chunkSize > 0) {
+          await this._append(chunk);
+          await this._rotate();
+          chunk = '';
+          chunkSize = 0;
+        }
+        chunk += lines[i];
+        chunkSize += length;
+      }
+      await this._append(chunk);
+    } catch (e) {
+      this._logger.warn(`error writing audit log ${this.file}: ${e.message || e}`);
+      // size is unknown after a failure, read it again next time
+      this._size = null;
+    }
+  }
+
+  /**
+   * @param {string} chunk
+   * @return {Promise<void>}
+   * @private
+   */
+  async _append(chunk) {
+    if (!chunk) {
+      return;
+    }
+    await appendFileAsync(this.file, chunk);
+    this._size += Buffer.byteLength(chunk);
+  }
+
+  /**
+   * @return {Promise<void>}
+   * @private
+   */
+  async _rotate() {
+    const ignoreMissing = (e) => {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+    };
+
+    await unlinkAsync(`${this.file}.${this.maxFiles}`).catch(ignoreMissing);
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      await renameAsync(`${this.file}.${i}`, `${this.file}.${i + 1}`).catch(ignoreMissing);
+    }
+    if (this.maxFiles > 0) {
+      await renameAsync(this.file, `${this.file}.1`).catch(ignoreMissing);
+    } else {
+      await unlinkAsync(this.file).catch(ignoreMissing);
+    }
+    this._size = 0;
+  }
+}
+
+module.exports = ExpireAudit;
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const diskusage = require('diskusage');
+
+const readdirTypesAsync = dirname => new Promise((res, rej) => fs.readdir(dirname, { withFileTypes: true }, (e, l) => e ? rej(e) : res(l)));
+const unlinkAsync = filename => new Promise((res, rej) => fs.unlink(filename, e => e ? rej(e) : res()));
+const statsAsync = filename => new Promise((res, rej) => fs.stat(filename, (e, s) => e ? rej(e) : res(s)));
+const rmdirAsync = filename => new Promise((res, rej) => fs.rmdir(filename, e => e ? rej(e) : res()));
+const readFileAsync = filename => new Promise((res, rej) => fs.readFile(filename, 'utf8', (e, t) => e ? rej(e) : res(t)));
+const statfsAsync = filename => new Promise((res, rej) => fs.statfs(filename, (e, s) => e ? rej(e) : res(s)));
+const renameAsync = (from, to) => new Promise((res, rej) => fs.rename(from, to, e => e ? rej(e) : res()));
+const mkdirpAsync = dirname => new Promise((res, rej) => fs.mkdir(dirname, (e) => {
+  if (!e || e.code === 'EEXIST') {
+    return res();
+  }
+  if (e.code !== 'ENOENT') {
+    return rej(e);
+  }
+  mkdirpAsync(path.dirname(dirname)).then(() => mkdirpAsync(dirname)).then(res, rej);
+}));
+const moveAsync = (from, to) => mkdirpAsync(path.dirname(to)).then(() => renameAsync(from, to));
+
+const mkdirp = (dirname) => {
+  try {
+    fs.mkdirSync(dirname);
+  } catch (e) {
+    if (e.code === 'EEXIST') {
+      return;
+    }
+    if (e.code !== 'ENOENT') {
+      throw e;
+    }
+    mkdirp(path.dirname(dirname));
+    fs.mkdirSync(dirname);
+  }
+};
+const move = (from, to) => {
+  mkdirp(path.dirname(to));
+  fs.renameSync(from, to);
+};
+
+/**
+ * Storage the cleaner works on, the local filesystem.
+ *
+ * A backend implements `list`, `stat`, `readFile`, `removeFile`, `removeDir` and `diskUsage`,
+ * and optionally `move` and `mkdir`, needed by the trash, `inodeUsage` and `now`. Methods return a value or a promise of it,
+ * and fail with errors carrying the `code` of the matching fs error (ENOENT, ENOTEMPTY, ...).
+ */
+class ExpireFsBackend {
+  /**
+   * @param {boolean=} [async=true] - false for synchronous fs calls
+   */
+  constructor({ async = true } = {}) {
+    this.async = async;
+  }
+
+  /**
+   * @param {string} dirname
+   * @return {Promise<(string|fs.Dirent)[]>} - names, or entries knowing their type (node >= 10.10)
+   */
+  list(dirname) {
+    return this.async ? readdirTypesAsync(dirname) : fs.readdirSync(dirname, { withFileTypes: true });
+  }
+
+  /**
+   * Follows symlinks
+   * @param {string} filename
+   * @return {Promise<fs.Stats>}
+   */
+  stat(filename) {
+    return this.async ? statsAsync(filename) : fs.statSync(filename);
+  }
+
+  /**
+   * @param {string} filename
+   * @return {Promise<string>} - utf8
+   */
+  readFile(filename) {
+    return this.async ? readFileAsync(filename) : fs.readFileSync(filename, 'utf8');
+  }
+
+  /**
+   * @param {string} filename
+   * @return {Promise<void>}
+   */
+  removeFile(filename) {
+    return this.async ? unlinkAsync(filename) : fs.unlinkSync(filename);
+  }
+
+  /**
+   * Fails with ENOTEMPTY unless the dir is empty
+   * @param {string} dirname
+   * @return {Promise<void>}
+   */
+  removeDir(dirname) {
+    return this.async ? rmdirAsync(dirname) : fs.rmdirSync(dirname);
+  }
+
+  /**
+   * Moves a file, creating the missing dirs of `to`, used by the trash
+   * @param {string} from
+   * @param {string} to
+   * @return {Promise<void>}
+   */
+  move(from, to) {
+    return this.async ? moveAsync(from, to) : move(from, to);
+  }
+
+  /**
+   * Creates a dir and its missing parents, used by the trash and the archive
+   * @param {string} dirname
+   * @return {Promise<void>}
+   */
+  mkdir(dirname) {
+    return this.async ? mkdirpAsync(dirname) : mkdirp(dirname);
+  }
+
+  /**
+   * @param {string} filename - any path on the device
+   * @return {Promise<{total: number, available: number}>} - bytes
+   */
+  diskUsage(filename) {
+    return this.async ? diskusage.check(filename) : diskusage.checkSync(filename);
+  }
+
+  /**
+   * @param {string} filename - any path on the device
+   * @return {Promise<{files: number, ffree: number}|null>} - null when not supported by this node version (< 18.15)
+   */
+  inodeUsage(filename) {
+    if (typeof fs.statfs !== 'function') {
+      return null;
+    }
+    return this.async ? statfsAsync(filename) : fs.statfsSync(filename);
+  }
+}
+
+module.exports = ExpireFsBackend;
@@ -0,0 +1,664 @@
+const fs = require('fs');
+const path = require('path');
+const ExpireFS = require('./index');
+const { parseRegExp } = require('./overrides');
+
+const usage = `Usage: expire-fs [clean|watch|plan|apply <plan>] [options]
+
+Commands:
+  clean                       run a single clean cycle and exit (default)
+  watch                       keep running and clean every --interval or on --schedule
+  plan                        print what a clean cycle would delete, as JSON
+  apply <plan>                delete the files of a plan file that still qualify
+
+Options:
+  -c, --config <file>         load options from a JSON or YAML-ish config file
+  -f, --folder <path>         folder to watch
+      --rules <json>          ordered list of per-folder rules (see readme)
+      --filter <regex>        only consider files whose path matches the regex
+      --time-type <type>      one of atime, mtime, ctime, birthtime
+      --expire <duration>     max file life (ms or 30s, 10m, 12h, 7d)
+      --pressure <ratio>      max disk usage before evicting files (0..1)
+      --pressure-high <ratio> disk usage pressure eviction starts at (default: --pressure)
+      --pressure-low <ratio>  disk usage pressure eviction frees space down to (default: --pressure-high)
+      --inode-pressure <ratio>
+                              max inode usage before evicting files (0..1)
+      --pressure-strategy <name>
+                              oldest, atime, largest or age-size (default: oldest)
+      --minimum-age <dur>     never delete files younger than this
+      --max-size <size>       max total size of the folder (bytes or 512K, 10M, 2G)
+      --max-files <count>     max number of matching files in the folder
+      --max-files-per-dir     apply --max-files to each directory instead
+      --retention <json>      keep the newest file of N periods, e.g. {"daily":7,"weekly":4}
+      --include <globs>       only consider files matching these comma separated globs
+      --exclude <globs>       never delete nor scan paths matching these comma separated globs
+      --group-by <regex>      files whose paths capture the same group expire and are evicted together
+      --group-age <age>       newest or oldest, member whose time is the group's (default: newest)
+      --trash <folder>        move deleted files there instead of unlinking them
+      --archive <folder>      write deleted files to .tar.gz bundles there first
+      --audit <file>          append a JSON line for every deletion to this file
+      --lock <file|true>      only clean while holding this lock file, true for <folder>/.expire-fs.lock
+      --metrics <port>        serve Prometheus metrics on this port in watch mode
+      --interval <duration>   time between cycles in watch mode
+      --schedule <cron|json>  cron expression of the cycles in watch mode, or
+                              {"cron":"0 * * * *","windows":["mon-fri 19:00-07:00"],"pressureInterval":"1m"}
+      --incremental           keep the tree in memory, updated from fs.watch events
+      --reconcile-interval <duration>
+                              time between full rescans in incremental mode
+      --concurrency <count>   max concurrent readdir/stat calls while scanning
+      --max-deletes-per-second <count>
+                              max files and dirs removed per second
+      --max-bytes-per-second <size>
+                              max bytes of files removed per second (bytes or 512K, 10M)
+      --max-stats-per-second <count>
+                              max stat calls per second while scanning
+      --critical-pressure <ratio>
+                              disk or inode usage over which pressure ignores --minimum-age
+                              and uses --critical-throttle
+      --critical-throttle <json>
+                              pressure budget, e.g. {"maxDeletesPerSecond":1000}
+      --stream                walk folders without keeping the tree in memory
+      --remove-empty-dirs     remove any dir that is empty
+      --no-remove-cleaned-dirs
+                              keep dirs emptied by expire-fs
+      --remove-root           allow removing the watched folder itself
+      --unsafe                allow watching root folders
+      --dry / --no-dry        only report what would be deleted (default: dry)
+  -h, --help                  show this message
+`;
+
+const durationUnits = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 3600 * 1000,
+  d: 24 * 3600 * 1000,
+  w: 7 * 24 * 3600 * 1000
+};
+
+/**
+ * @param {String|Number} value
+ * @return {Number}
+ */
+const parseDuration = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const str = String(value).trim();
+  if (str === 'Infinity') {
+    return Infinity;
+  }
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/.exec(str);
+  if (!match) {
+    throw new Error(`invalid duration "${value}"`);
+  }
+  return parseFloat(match[1]) * durationUnits[match[2] || 'ms'];
+};
+
+/**
+ * @param {String|Number} value
+ * @return {Number}
+ */
+const parseNumber = (value) => {
+  const n = Number(value);
+  if (Number.isNaN(n)) {
+    throw new Error(`invalid number "${value}"`);
+  }
+  return n;
+};
+
+const sizeUnits = {
+  b: 1,
+  k: 1024,
+  m: 1024 * 1024,
+  g: 1024 * 1024 * 1024,
+  t: 1024 * 1024 * 1024 * 1024
+};
+
+/**
+ * @param {String|Number} value - bytes or 512K, 10MB, 1.5G, 2TB
+ * @return {Number}
+ */
+const parseSize = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  const str = String(value).trim();
+  if (str === 'Infinity') {
+    return Infinity;
+  }
+  const match = /^(\d+(?:\.\d+)?)\s*(?:([kmgt])b?|b)?$/i.exec(str);
+  if (!match) {
+    throw new Error(`invalid size "${value}"`);
+  }
+  return Math.floor(parseFloat(match[1]) * sizeUnits[(match[2] || 'b').toLowerCase()]);
+};
+
+/**
+ * @param {String|Boolean} value
+ * @return {Boolean}
+ */
+const parseBoolean = (value) => {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  return !/^(false|no|off|0)$/i.test(String(value).trim());
+};
+
+/**
+ * argument taken as the value of a boolean flag rather than as a command
+ * @type {RegExp}
+ */
+const booleanValue = /^(true|false|yes|no|on|off|0|1)$/i;
+
+/**
+ * @param {String[]|String} value - array, JSON array or comma separated list of globs
+ * @return {String[]}
+ */
+const parseGlobs = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  const str = String(value).trim();
+  return str[0] === '[' ? JSON.parse(str).map(String) : str.split(',').map(s => s.trim()).filter(Boolean);
+};
+
+/**
+ * retention option name -> value parser
+ * @type {Object<string, function(*):*>}
+ */
+const retentionTypes = {
+  last: parseNumber,
+  hourly: parseNumber,
+  daily: parseNumber,
+  weekly: parseNumber,
+  monthly: parseNumber,
+  yearly: parseNumber,
+  group: parseRegExp,
+};
+
+/**
+ * @param {Object|String} value - retention or JSON string of it
+ * @return {Object}
+ */
+const parseRetention = value => normalize(typeof value === 'string' ? JSON.parse(value) : value, retentionTypes);
+
+/**
+ * rule option name -> value parser
+ * @type {Object<string, function(*):*>}
+ */
+const ruleTypes = {
+  folder: String,
+  filter: parseRegExp,
+  timeType: String,
+  expire: parseDuration,
+  minimumAge: parseDuration,
+  maxSize: parseSize,
+  maxFiles: parseNumber,
+  maxFilesPerDir: parseBoolean,
+  retention: parseRetention,
+  include: parseGlobs,
+  exclude: parseGlobs,
+  groupBy: parseRegExp,
+  groupAge: String,
+};
+
+/**
+ * @param {Object[]|String} value - array or JSON string of rules
+ * @return {Object[]}
+ */
+const parseRules = (value) => {
+  const rules = typeof value === 'string' ? JSON.parse(value) : value;
+  if (!Array.isArray(rules)) {
+    throw new Error('rules should be an array');
+  }
+  return rules.map(rule => normalize(rule, ruleTypes));
+};
+
+/**
+ * trash option name -> value parser
+ * @type {Object<string, function(*):*>}
+ */
+const trashTypes = {
+  folder: String,
+  expire: parseDuration,
+  maxSize: parseSize,
+  emptyOnPressure: parseBoolean,
+};
+
+/**
+ * @param {Object|String} value - trash folder or trash options
+ * @return {Object}
+ */
+const parseTrash = value => normalize(typeof value === 'string' ? { folder: value } : value, trashTypes);
+
+/**
+ * archive option name -> value parser
+ * @type {Object<string, function(*):*>}
+ */
+const archiveTypes = {
+  folder: String,
+  expire: parseDuration,
+  maxSize: parseSize,
+};
+
+/**
+ * @param {Object|String} value - archive folder or archive options
+ * @return {Object}
+ */
+const parseArchive = value => normalize(typeof value === 'string' ? { folder: value } : value, archiveTypes);
+
+/**
+ * audit option name -> value parser
+ * @type {Object<string, function(*):*>}
+ */
+const auditTypes = {
+  file: String,
+  maxSize: parseSize,
+  maxFiles: parseNumber,
+};
+
+/**
+ * @param {Object|String} value - audit file or audit options
+ * @return {Object}
+ */
+const parseAudit = value => normalize(typeof value === 'string' ? { file: value } : value, auditTypes);
+
+/**
+ * lock option name -> value parser
+ * @type {Object<string, function(*):*>}
+ */
+const lockTypes = {
+  file: String,
+  heartbeat: parseDuration,
+  stale: parseDuration,
+};
+
+/**
+ * @param {Boolean|Object|String} value - true, lock file, lock options or JSON string of them
+ * @return {Boolean|Object}
+ */
+const parseLock = (value) => {
+  if (typeof value === 'boolean') {
+    return value;
+  }
+  if (typeof value === 'string' && /^(true|yes|on|false|no|off)$/i.test(value.trim())) {
+    return parseBoolean(value);
+  }
+  if (typeof value === 'string' && value.trim().startsWith('{')) {
+    value = JSON.parse(value);
+  }
+  return normalize(typeof value === 'string' ? { file: value } : value, lockTypes);
+};
+
+/**
+ * metrics option name -> value parser
+ * @type {Object<string, function(*):*>}
+ */
+const metricsTypes = {
+  port: parseNumber,
+  host: String,
+  path: String,
+};
+
+/**
+ * @param {Object|String|Number} value - port or metrics options
+ * @return {Object}
+ */
+const parseMetrics = value => normalize(typeof value === 'object' ? value : { port: value }, metricsTypes);
+
+/**
+ * critical throttle option name -> value parser
+ * @type {Object<string, function(*):*>}
+ */
+const throttleTypes = {
+  maxDeletesPerSecond: parseNumber,
+  maxBytesPerSecond: parseSize,
+};
+
+/**
+ * @param {Object|String} value - critical throttle or JSON string of it
+ * @return {Object}
+ */
+const parseThrottle = value => normalize(typeof value === 'string' ? JSON.parse(value) : value, throttleTypes);
+
+/**
+ * schedule option name -> value parser
+ * @type {Object<string, function(*):*>}
+ */
+const scheduleTypes = {
+  cron: value => value,
+  windows: value => value,
+  pressureInterval: parseDuration,
+};
+
+/**
+ * @param {Object|String} value - schedule, JSON string of it, or cron expression
+ * @return {Object|String}
+ */
+const parseSchedule = (value) => {
+  if (typeof value === 'string' && !value.trim().startsWith('{')) {
+    return value;
+  }
+  return normalize(typeof value === 'string' ? JSON.parse(value) : value, scheduleTypes);
+};
+
+/**
+ * option name -> value parser
+ * @type {Object<string, function(*):*>}
+ */
+const optionTypes = {
+  folder: String,
+  filter: parseRegExp,
+  timeType: String,
+  expire: parseDuration,
+  pressure: parseNumber,
+  pressureHigh: parseNumber,
+  pressureLow: parseNumber,
+  inodePressure: parseNumber,
+  pressureStrategy: String,
+  minimumAge: parseDuration,
+  maxSize: parseSize,
+  maxFiles: parseNumber,
+  maxFilesPerDir: parseBoolean,
+  retention: parseRetention,
+  include: parseGlobs,
+  exclude: parseGlobs,
+  groupBy: parseRegExp,
+  groupAge: String,
+  rules: parseRules,
+  trash: parseTrash,
+  archive: parseArchive,
+  audit: parseAudit,
+  lock: parseLock,
+  metrics: parseMetrics,
+  interval: parseDuration,
+  schedule: parseSchedule,
+  incremental: parseBoolean,
+  reconcileInterval: parseDuration,
+  concurrency: parseNumber,
+  maxDeletesPerSecond: parseNumber,
+  maxBytesPerSecond: parseSize,
+  maxStatsPerSecond: parseNumber,
+  criticalPressure: parseNumber,
+  criticalThrottle: parseThrottle,
+  stream: parseBoolean,
+  removeEmptyDirs: parseBoolean,
+  removeCleanedDirs: parseBoolean,
+  removeRoot: parseBoolean,
+  unsafe: parseBoolean,
+  dry: parseBoolean,
+};
+
+const flagAliases = {
+  c: 'config',
+  f: 'folder',
+  h: 'help'
+};
+
+/**
+ * @param {String} flag - e.g. `time-type`
+ * @return {String} - e.g. `timeType`
+ */
+const camelCase = flag => flag.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+
+/**
+ * @param {Object} raw
+ * @param {Object<string, function(*):*>} types
+ * @return {Object}
+ */
+const normalize = (raw, types) => {
+  const options = {};
+  Object.keys(raw).forEach((key) => {
+    const name = camelCase(key);
+    if (!types.hasOwnProperty(name)) {
+      throw new Error(`unknown option "${key}"`);
+    }
+    options[name] = types[name](raw[key]);
+  });
+  return options;
+};
+
+/**
+ * @param {Object} raw
+ * @return {Object}
+ */
+const normalizeOptions = raw => normalize(raw, optionTypes);
+
+/**
+ * @param {String} line
+ * @return {String} - without its comment, a `#` starting a line or following whitespace outside quotes
+ */
+const stripComment = (line) => {
+  let quote = null;
+  for (let i = 0; i < line.length; i++) {
+    const c = line[i];
+    if (quote) {
+      if (c === quote) {
+        quote = null;
+      }
+    } else if (c === '"' || c === '\'') {
+      quote = c;
+    } else if (c === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+  return line;
+};
+
+/**
+ * Parses a flat `key: value` file, one option per line.
+ * Comments start with `#`, outside quotes and after whitespace, values may be quoted.
+ *
+ * @param {String} text
+ * @return {Object}
+ */
+const parseYamlish = (text) => {
+  const result = {};
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = stripComment(line).trim();
+    if (!trimmed || trimmed === '---') {
+      return;
+    }
+    const match = /^([\w-]+)\s*:\s*(.*)$/.exec(trimmed);
+    if (!match) {
+      throw new Error(`cannot parse line ${i + 1}: ${line}`);
+    }
+    let value = match[2];
+    if (/^(['"]).*\1$/.test(value)) {
+      value = value.slice(1, -1);
+    }
+    result[match[1]] = value;
+  });
+  return result;
+};
+
+/**
+ * @param {String} file
+ * @return {Object}
+ */
+const loadConfig = (file) => {
+  const text = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.json' || (ext !== '.yml' && ext !== '.yaml' && /^\s*\{/.test(text))) {
+    return normalizeOptions(JSON.parse(text));
+  }
+  return normalizeOptions(parseYamlish(text));
+};
+
+const commands = ['clean', 'watch', 'plan', 'apply'];
+
+/**
+ * @param {String[]} argv
+ * @return {{command: String, plan: String|null, config: String|null, help: Boolean, options: Object}}
+ */
+const parseArgs = (argv) => {
+  const result = { command: 'clean', plan: null, config: null, help: false, options: {} };
+  const raw = {};
+  let commandSeen = false;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (!arg.startsWith('-')) {
+      if (result.command === 'apply' && result.plan === null) {
+        result.plan = arg;
+        continue;
+      }
+      if (commandSeen) {
+        throw new Error(`unexpected argument "${arg}"`);
+      }
+      if (commands.indexOf(arg) === -1) {
+        throw new Error(`unknown command "${arg}"`);
+      }
+      result.command = arg;
+      commandSeen = true;
+      continue;
+    }
+
+    let [flag, value] = arg.replace(/^--?/, '').split(/=(.*)/);
+    flag = flagAliases[flag] || flag;
+
+    if (flag === 'help') {
+      result.help = true;
+      continue;
+    }
+
+    const negated = /^no-/.test(flag);
+    const name = camelCase(negated ? flag.slice(3) : flag);
+
+    if (name !== 'config' && !optionTypes.hasOwnProperty(name)) {
+      throw new Error(`unknown option "${arg}"`);
+    }
+
+    if (optionTypes[name] === parseBoolean) {
+      // `--dry false` as well as `--dry=false`
+      if (!negated && value === undefined && booleanValue.test(argv[i + 1] || '')) {
+        value = argv[++i];
+      }
+      raw[name] = negated ? false : (value === undefined ? true : value);
+      continue;
+    }
+
+    if (negated) {
+      throw new Error(`option "${arg}" cannot be negated`);
+    }
+    if (value === undefined) {
+      value = argv[++i];
+      if (value === undefined) {
+        throw new Error(`option "${arg}" needs a value`);
+      }
+    }
+
+    if (name === 'config') {
+      result.config = value;
+    } else {
+      raw[name] = value;
+    }
+  }
+
+  if (result.command === 'apply' && result.plan === null && !result.help) {
+    throw new Error('apply needs a plan file');
+  }
+
+  result.options = normalizeOptions(raw);
+  return result;
+};
+
+/**
+ * @param {String[]} argv
+ * @param {{stdout: stream.Writable, stderr: stream.Writable}=} io
+ * @return {Promise<ExpireFS|null>} - the running instance in watch mode
+ */
+const main = async (argv, { stdout = process.stdout, stderr = process.stderr } = {}) => {
+  const args = parseArgs(argv);
+  if (args.help) {
+    stdout.write(usage);
+    return null;
+  }
+
+  // flags win over the config file
+  const options = Object.assign(
+    {},
+    args.config ? loadConfig(args.config) : {},
+    args.options,
+    { autoStart: false }
+  );
+  if (args.command === 'plan') {
+    // stdout only carries the plan, dry-run lines would break the JSON
+    options.logger = { info: () => {}, warn: msg => stderr.write(`${msg}\n`) };
+  }
+  const expire = new ExpireFS(options);
+
+  const report = (deleted) => {
+    const prefix = expire.dry ? 'would delete' : 'deleted';
+    deleted.forEach(e => stdout.write(`${prefix} ${e.path}\n`));
+    stdout.write(`${prefix} ${deleted.length} entries\n`);
+  };
+
+  if (args.command === 'clean') {
+    report(await expire.clean());
+    // releases the lock
+    await expire.stop();
+    return null;
+  }
+
+  if (args.command === 'plan') {
+    stdout.write(JSON.stringify(await expire.plan(), null, 2) + '\n');
+    return null;
+  }
+
+  if (args.command === 'apply') {
+    // the plan is the review step, apply always deletes
+    const result = await expire.apply(JSON.parse(fs.readFileSync(args.plan, 'utf8')));
+    result.deleted.forEach(e => stdout.write(`deleted ${e.path}\n`));
+    result.skipped.forEach(s => stdout.write(`skipped ${s.item.path}: ${s.cause}\n`));
+    stdout.write(`deleted ${result.deleted.length} entries, skipped ${result.skipped.length}\n`);
+    await expire.stop();
+    if (result.skipped.some(s => s.cause === 'locked')) {
+      throw new Error(`${expire.lock.file} is held by another process, the plan was not applied`);
+    }
+    return null;
+  }
+
+  expire.on('clean', report);
+  expire.on('error', e => stderr.write(`clean cycle failed: ${e.message || e}\n`));
+
+  let stopping = false;
+  const shutdown = () => {
+    stopping = true;
+    // the cycle in progress ends at its next safe point
+    expire.stop().catch(e => stderr.write(`stop failed: ${e.message || e}\n`));
+    process.removeListener('SIGINT', shutdown);
+    process.removeListener('SIGTERM', shutdown);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  // first cycle right away, then every interval, a schedule decides by itself
+  if (!expire.schedule) {
+    try {
+      await expire.clean();
+    } catch (e) {
+      if (!stopping) {
+        expire.emit('error', e);
+      }
+    }
+  }
+  if (!stopping) {
+    expire.start();
+    if (expire.schedule) {
+      const next = expire.nextRun();
+      stdout.write(`next clean cycle at ${next.clean ? next.clean.toISOString() : 'never'}\n`);
+    }
+  }
+  return expire;
+};
+
+module.exports = {
+  main,
+  parseArgs,
+  loadConfig,
+  parseDuration,
+  usage
+};
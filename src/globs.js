@@ -0,0 +1,159 @@
+const path = require('path');
+
+/**
+ * per-directory exclude patterns, gitignore syntax
+ * @type {string}
+ */
+const IGNORE_FILE = '.expireignore';
+
+/**
+ * @param {string} str
+ * @return {string}
+ */
+const escapeRegExp = str => str.replace(/[.+^${}()|[\]\\*?]/g, '\\$&');
+
+/**
+ * Converts one path segment of a glob, `*`, `?` and `[…]` never match `/`
+ * @param {string} segment
+ * @return {string}
+ */
+const segmentToRegExp = (segment) => {
+  let re = '';
+  for (let i = 0; i < segment.length; i++) {
+    const c = segment[i];
+    if (c === '\\' && i + 1 < segment.length) {
+      re += escapeRegExp(segment[++i]);
+    } else if (c === '*') {
+      re += '[^/]*';
+    } else if (c === '?') {
+      re += '[^/]';
+    } else if (c === '[' && segment.indexOf(']', i + 2) !== -1) {
+      const end = segment.indexOf(']', i + 2);
+      let range = segment.slice(i + 1, end);
+      const negate = range[0] === '!' || range[0] === '^';
+      if (negate) {
+        range = range.slice(1);
+      }
+      re += `[${negate ? '^/' : ''}${range.replace(/\\/g, '\\\\')}]`;
+      i = end;
+    } else {
+      re += escapeRegExp(c);
+    }
+  }
+  return re;
+};
+
+/**
+ * @param {string} line - one gitignore-style pattern
+ * @return {{regex: RegExp, negate: boolean, dirOnly: boolean}|null} - null for blank lines and comments
+ */
+const compile = (line) => {
+  let pattern = line.replace(/(^|[^\\])\s+$/, '$1');
+  if (!pattern || pattern[0] === '#') {
+    return null;
+  }
+
+  const negate = pattern[0] === '!';
+  if (negate) {
+    pattern = pattern.slice(1);
+  } else if (pattern[0] === '\\' && (pattern[1] === '!' || pattern[1] === '#')) {
+    pattern = pattern.slice(1);
+  }
+
+  const dirOnly = pattern.endsWith('/');
+  if (dirOnly) {
+    pattern = pattern.replace(/\/+$/, '');
+  }
+  if (!pattern) {
+    return null;
+  }
+
+  // without a slash the pattern matches a name at any depth
+  const anchored = pattern.indexOf('/') !== -1;
+  const segments = pattern.replace(/^\//, '').split('/');
+
+  let re = '';
+  segments.forEach((segment, i) => {
+    const last = i === segments.length - 1;
+    if (segment === '**') {
+      re += last ? '.*' : '(?:[^/]+/)*';
+    } else {
+      re += segmentToRegExp(segment) + (last ? '' : '/');
+    }
+  });
+
+  return {
+    regex: new RegExp('^' + (anchored ? '' : '(?:.*/)?') + re + '$'),
+    negate,
+    dirOnly
+  };
+};
+
+/**
+ * gitignore-style patterns relative to a folder, chained to the patterns of the folders above it.
+ * The last matching pattern wins, patterns of deeper folders win over the ones above.
+ */
+class ExpireGlobs {
+  /**
+   * @param {string} base - patterns are relative to this folder
+   * @param {string|string[]=} patterns
+   * @param {ExpireGlobs|null=} parent
+   */
+  constructor({ base, patterns = [], parent = null }) {
+    this.base = base;
+    this.parent = parent;
+    this._patterns = [].concat(patterns).map(compile).filter(Boolean);
+    this._empty = !this._patterns.length && (!parent || parent._empty);
+  }
+
+  /**
+   * @param {string} dirname
+   * @param {string} text - content of an ignore file found in `dirname`
+   * @return {ExpireGlobs}
+   */
+  child(dirname, text) {
+    return new ExpireGlobs({ base: dirname, patterns: text.split(/\r?\n/), parent: this });
+  }
+
+  /**
+   * A path matches if it, or one of its parent dirs, is matched by the last pattern that applies to it.
+   *
+   * @param {string} filename - absolute path
+   * @param {boolean} isDir
+   * @return {boolean}
+   */
+  test(filename, isDir) {
+    if (this._empty) {
+      return false;
+    }
+
+    const chain = [];
+    for (let globs = this; globs; globs = globs.parent) {
+      chain.unshift(globs);
+    }
+
+    let matched = false;
+    chain.forEach((globs) => {
+      const relative = path.relative(globs.base, filename);
+      if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+        return;
+      }
+
+      const parts = relative.split(path.sep);
+      for (let i = 1; i <= parts.length; i++) {
+        const sub = parts.slice(0, i).join('/');
+        const dir = i < parts.length || isDir;
+        globs._patterns.forEach((p) => {
+          if ((!p.dirOnly || dir) && p.regex.test(sub)) {
+            matched = !p.negate;
+          }
+        });
+      }
+    });
+    return matched;
+  }
+}
+
+ExpireGlobs.IGNORE_FILE = IGNORE_FILE;
+
+module.exports = ExpireGlobs;
@@ -1,22 +1,34 @@
-const fs = require('fs');
 const path = require('path');
 const EventEmitter = require('events');
-const diskusage = require('diskusage');
 const debug = require('debug');
+const ExpireWatcher = require('./watcher');
+const ExpireArchive = require('./archive');
+const ExpireAudit = require('./audit');
+const ExpireMetrics = require('./metrics');
+const { createLimiter, walk, OldestSet } = require('./walk');
+const { validateRetention, retain } = require('./retention');
+const { createStrategy } = require('./strategy');
+const ExpireGlobs = require('./globs');
+const { OVERRIDE_FILE, parseOverrides } = require('./overrides');
+const { describe, totals, validatePlan } = require('./plan');
+const { createThrottle, validateRate } = require('./throttle');
+const ExpireFsBackend = require('./backend');
+const ExpireMemoryBackend = require('./memory');
+const ExpireSchedule = require('./schedule');
+const ExpireLock = require('./lock');
+
+const { IGNORE_FILE } = ExpireGlobs;
+const { LOCK_FILE } = ExpireLock;
 
 const debug_expire = debug('expire-fs:expire');
 const debug_pressure = debug('expire-fs:pressure');
+const debug_quota = debug('expire-fs:quota');
+const debug_files = debug('expire-fs:files');
+const debug_inodes = debug('expire-fs:inodes');
+const debug_archive = debug('expire-fs:archive');
+const debug_retention = debug('expire-fs:retention');
 const debug_entry = debug('expire-fs:entry');
-
-const readdirAsync = dirname => new Promise((res, rej) => fs.readdir(dirname, (e, l) => e ? rej(e) : res(l)));
-const unlinkAsync = filename => new Promise((res, rej) => fs.unlink(filename, e => e ? rej(e) : res()));
-const statsAsync = filename => new Promise((res, rej) => fs.stat(filename, (e, s) => e ? rej(e) : res(s)));
-const rmdirAsync = filename => new Promise((res, rej) => fs.rmdir(filename, e => e ? rej(e) : res()));
-
-const readdir = filename => fs.readdirSync(filename);
-const unlink = filename => fs.unlinkSync(filename);
-const stats = filename => fs.statSync(filename);
-const rmdir = filename => fs.rmdirSync(filename);
+const debug_lock = debug('expire-fs:lock');
 
 const pretty_size = (size) => {
   const names = ['B', 'KB', 'MB', 'GB'];
@@ -30,21 +42,190 @@ const pretty_size = (size) => {
 };
 
 const validTimeTypes = new Set(['atime', 'mtime', 'ctime', 'birthtime']);
+const validGroupAges = new Set(['newest', 'oldest']);
+
+/**
+ * @param {RegExp} regex
+ * @param {String} path
+ * @return {String|null} - first capture, or the whole match without one, null when it doesn't match
+ */
+const captureGroup = (regex, path) => {
+  const match = regex.exec(path);
+  if (!match) {
+    return null;
+  }
+  return match[1] !== undefined ? match[1] : match[0];
+};
+
+const unlimited = fn => Promise.resolve().then(fn);
+
+const unthrottled = () => Promise.resolve();
+
+/**
+ * default backends of the entries
+ * @type {{sync: ExpireFsBackend, async: ExpireFsBackend}}
+ */
+const fsBackends = {
+  sync: new ExpireFsBackend({ async: false }),
+  async: new ExpireFsBackend({ async: true })
+};
+
+const backendMethods = ['list', 'stat', 'readFile', 'removeFile', 'removeDir', 'diskUsage'];
+
+const noop = () => {};
+
+/**
+ * @param {String[]} folders - absolute paths
+ * @return {String} - deepest folder containing all of them
+ */
+const commonRoot = (folders) => {
+  const parts = folders[0].split(path.sep);
+  let len = parts.length;
+  folders.forEach((folder) => {
+    const other = folder.split(path.sep);
+    let i = 0;
+    while (i < len && i < other.length && other[i] === parts[i]) {
+      i++;
+    }
+    len = i;
+  });
+  return parts.slice(0, len).join(path.sep) || path.sep;
+};
+
+/**
+ * @param {ExpireEntry[]} list
+ * @return {number} - bytes of the files in the list
+ */
+const sumSizes = list => list.reduce((sum, e) => sum + (e.isDir ? 0 : e.size), 0);
+
+/**
+ * Bytes a file takes on disk, freed once its last link is deleted.
+ * Sparse files take less than their size, small files a whole block.
+ *
+ * @param {Stats} stats
+ * @return {number}
+ */
+const allocated = stats => typeof stats.blocks === 'number' ? stats.blocks * 512 : stats.size;
+
+/**
+ * Counts what evicting files frees, a hardlinked inode is freed by deleting its last link only.
+ *
+ * @param {boolean} count - inodes instead of bytes
+ * @return {{freed: number, measure: function(Stats):number}} - `measure` is called once per deleted file
+ */
+const createMeter = (count) => {
+  /** @type {Map<String, number>} links left per inode */
+  const links = new Map;
+  const meter = {
+    freed: 0,
+    measure: (stats) => {
+      if (stats.nlink > 1) {
+        const inode = `${stats.dev}:${stats.ino}`;
+        const left = (links.has(inode) ? links.get(inode) : stats.nlink) - 1;
+        links.set(inode, left);
+        if (left > 0) {
+          return 0;
+        }
+      }
+      const freed = count ? 1 : allocated(stats);
+      meter.freed += freed;
+      return freed;
+    }
+  };
+  return meter;
+};
+
+/**
+ * Drops the hardlinked files having links that aren't candidates, deleting them would free nothing,
+ * and the groups with such a member.
+ *
+ * @param {{stats: Stats, members: Object[]=}[][]} lists - candidates, links may be spread over the lists
+ * @return {{stats: Stats, members: Object[]=}[][]}
+ */
+const withAllLinks = (lists) => {
+  const found = new Map;
+  const inode = stats => `${stats.dev}:${stats.ino}`;
+  const files = c => c.members || [c];
+  lists.forEach(list => list.forEach(c => files(c).forEach(({ stats }) => {
+    if (stats.nlink > 1) {
+      found.set(inode(stats), (found.get(inode(stats)) || 0) + 1);
+    }
+  })));
+  return lists.map(list => list.filter(c => files(c).every(
+    ({ stats }) => stats.nlink <= 1 || found.get(inode(stats)) >= stats.nlink
+  )));
+};
 
 class ExpireEntry {
   /**
-   * @param {boolean} async
+   * @param {boolean} async - picks the synchronous or asynchronous fs backend when none is given
    * @param {string} path
    * @param {ExpireEntry|null} parent
+   * @param {Stats|null=} stats - already known stats
+   * @param {function(function():*):Promise<*>=} limit - limiter for fs calls, shared with children
+   * @param {function():Promise<void>=} statThrottle - awaited before each stat, shared with children
+   * @param {ExpireFsBackend|Object|null=} backend - storage the entry lives on, shared with children
+   * @param {function(String, String, Error, ExpireEntry):void=} onError - `(operation, path, error, entry)`,
+   *                                                          operation is scan, delete or policy, shared with children
+   * @param {ExpireGlobs|null=} ignore - excluded paths, extended by the ignore files found while populating
+   * @param {string|null=} lockFile - path of the lock file, never deleted wherever it is, shared with children
+   * @param {{info: function, warn: function}=} [logger=console] - errors and dry runs are reported to it,
+   *                                                          shared with children
    */
-  constructor({ async = false, path, parent }) {
+  constructor({
+                async = false,
+                path,
+                parent,
+                stats = null,
+                limit = unlimited,
+                statThrottle = unthrottled,
+                backend = null,
+                onError = noop,
+                ignore = null,
+                lockFile = null,
+                logger = console
+              }) {
     this._path = path;
     this._async = async;
+    this._limit = limit;
+    this._statThrottle = statThrottle;
+    /**
+     * @type {ExpireFsBackend|Object}
+     * @private
+     */
+    this._backend = backend || (async ? fsBackends.async : fsBackends.sync);
+    this._onError = onError;
+    this._lockFile = lockFile;
+    this._logger = logger;
+    this._ignore = ignore;
+    /**
+     * excluded paths for the children, with the ignore file of this dir
+     * @type {ExpireGlobs|null}
+     * @private
+     */
+    this._childrenIgnore = ignore;
+    /**
+     * set by populate() when the entry is excluded, it is then dropped from its parent
+     * @type {boolean}
+     * @private
+     */
+    this._excluded = false;
+    /**
+     * names of the children on disk left out of the tree because they are excluded
+     * @type {Set<string>}
+     * @private
+     */
+    this._hidden = new Set;
+    /**
+     * policy overrides read from the `.expire.json` of this dir by populate()
+     * @type {Object|null}
+     */
+    this.overrides = null;
     /**
      * @type {Stats}
      * @private
      */
-    this._stats = null;
+    this._stats = stats;
 
     this._parent = parent;
     /**
@@ -52,15 +233,6 @@ class ExpireEntry {
      * @private
      */
     this._children = new Map;
-
-    /** @type function */
-    this._get_list = async ? readdirAsync : readdir;
-    /** @type function */
-    this._get_stats = async ? statsAsync : stats;
-    /** @type function */
-    this._rm_dir = async ? rmdirAsync : rmdir;
-    /** @type function */
-    this._rm_file = async ? unlinkAsync : unlink;
   }
 
   /**
@@ -134,8 +306,11 @@ class ExpireEntry {
     return [...this._children.keys()];
   }
 
+  /**
+   * @return {boolean} - excluded children count, they are not in `children`
+   */
   get hasChildren() {
-    return this._children.size !== 0;
+    return this._children.size !== 0 || this._hidden.size !== 0;
   }
 
   /**
@@ -150,24 +325,55 @@ class ExpireEntry {
    */
   async populate() {
     try {
-      this._stats = await this._get_stats(this._path);
+      await this._statThrottle();
+      this._stats = await this._limit(() => this._backend.stat(this._path));
     } catch (e) {
-      console.warn(`error reading stats for ${this._path}: ${e.message || e}`);
+      this._logger.warn(`error reading stats for ${this._path}: ${e.message || e}`);
+      this._onError('scan', this._path, e, this);
       return;
     }
 
-    if (!this.isDir) {
+    // excluded dirs are not descended
+    this._excluded = this._isIgnored();
+    if (this._excluded || !this.isDir) {
       return;
     }
 
     let list = [];
     try {
-      list = await this._get_list(this._path);
+      // backends may list entries with their type
+      list = (await this._limit(() => this._backend.list(this._path)))
+        .map(item => typeof item === 'string' ? item : item.name);
     } catch (e) {
-      console.warn(`error reading dir listing for ${this._path}: ${e.message || e}`);
+      this._logger.warn(`error reading dir listing for ${this._path}: ${e.message || e}`);
+      this._onError('scan', this._path, e, this);
       return;
     }
 
+    let ignore = this._ignore;
+    if (ignore && list.indexOf(IGNORE_FILE) !== -1) {
+      const filename = path.join(this._path, IGNORE_FILE);
+      try {
+        ignore = ignore.child(this._path, await this._limit(() => this._backend.readFile(filename)));
+      } catch (e) {
+        this._logger.warn(`error reading ${filename}: ${e.message || e}`);
+        this._onError('scan', filename, e, this);
+      }
+    }
+    this._childrenIgnore = ignore;
+    this._hidden = new Set;
+
+    this.overrides = null;
+    if (list.indexOf(OVERRIDE_FILE) !== -1) {
+      const filename = path.join(this._path, OVERRIDE_FILE);
+      try {
+        this.overrides = parseOverrides(await this._limit(() => this._backend.readFile(filename)));
+      } catch (e) {
+        this._logger.warn(`error reading ${filename}: ${e.message || e}`);
+        this._onError('policy', filename, e, this);
+      }
+    }
+
     const len = list.length;
 
     const entries = [];
@@ -176,35 +382,144 @@ class ExpireEntry {
       if (name === '..' || name === '.') {
         continue;
       }
+      // ignore, override and lock files are never deleted
+      if ((ignore && name === IGNORE_FILE) || name === OVERRIDE_FILE || name === LOCK_FILE ||
+        path.join(this._path, name) === this._lockFile) {
+        this._hidden.add(name);
+        continue;
+      }
 
       const entry = new ExpireEntry({
         async: this._async,
         path: path.join(this.path, name),
-        parent: this
+        parent: this,
+        limit: this._limit,
+        statThrottle: this._statThrottle,
+        backend: this._backend,
+        onError: this._onError,
+        ignore,
+        lockFile: this._lockFile,
+        logger: this._logger
       });
       entries.push(entry);
       this.children.set(entry.basename, entry);
     }
 
     await Promise.all(entries.map(e => e.populate()));
+
+    // entries that could not be stat'ed or are excluded are left out of the tree
+    entries.forEach((e) => {
+      if (!e.stats) {
+        this.children.delete(e.basename);
+      } else if (e._excluded) {
+        this.children.delete(e.basename);
+        this._hidden.add(e.basename);
+      }
+    });
+  }
+
+  /**
+   * @return {boolean} - excluded by the `exclude` patterns or an ignore file, the root never is
+   * @private
+   */
+  _isIgnored() {
+    return !!this._ignore && !this.isRoot && this._ignore.test(this._path, this.isDir);
+  }
+
+  /**
+   * Re-reads the stats of this entry, children are left untouched
+   * @return {Promise<void>}
+   */
+  async refresh() {
+    await this._statThrottle();
+    this._stats = await this._limit(() => this._backend.stat(this._path));
+  }
+
+  /**
+   * Creates and populates the child `name`, replacing any existing one
+   * @param {string} name
+   * @return {Promise<ExpireEntry|null>} - null if the child doesn't exist or is excluded
+   */
+  async addChild(name) {
+    if ((this._childrenIgnore && name === IGNORE_FILE) || name === OVERRIDE_FILE || name === LOCK_FILE ||
+      path.join(this._path, name) === this._lockFile) {
+      return null;
+    }
+
+    const entry = new ExpireEntry({
+      async: this._async,
+      path: path.join(this.path, name),
+      parent: this,
+      limit: this._limit,
+      statThrottle: this._statThrottle,
+      backend: this._backend,
+      onError: this._onError,
+      ignore: this._childrenIgnore,
+      lockFile: this._lockFile,
+      logger: this._logger
+    });
+
+    try {
+      await entry.refresh();
+    } catch (e) {
+      if (e.code === 'ENOENT') {
+        this._hidden.delete(name);
+        return null;
+      }
+      throw e;
+    }
+    if (entry._isIgnored()) {
+      this._hidden.add(name);
+      return null;
+    }
+    if (entry.isDir) {
+      await entry.populate();
+    }
+
+    this.children.set(name, entry);
+    return entry;
   }
 
   /**
    * @param {boolean=} keepEmptyParent
    * @param {boolean=} dry
    * @param {removeRoot=} dry
-   * @return {Promise<void>}
+   * @param {string|null=} moveTo - move the file there instead of unlinking it
+   * @param {function(ExpireEntry):Promise<void>|null=} remove - removes the file instead of unlinking it
+   * @param {function(ExpireEntry):void|null=} onDelete - called for every entry removed, children and parents included
+   * @param {function(ExpireEntry, Error):void|null=} onDeleteError - called for every entry that could not be removed
+   * @param {function(ExpireEntry):Promise<void>|null=} deleteThrottle - awaited before each removal, dry runs excluded,
+   *                                                          rejecting stops the deletion
+   * @return {Promise<boolean>} - whether this entry was removed, dry runs included
    */
-  async delete({ keepEmptyParent = true, dry = false, removeRoot = false } = {}) {
+  async delete({
+                 keepEmptyParent = true,
+                 dry = false,
+                 removeRoot = false,
+                 moveTo = null,
+                 remove = null,
+                 onDelete = null,
+                 onDeleteError = null,
+                 deleteThrottle = null
+               } = {}) {
     debug_entry('deleting entry', this.path);
 
+    let removed = false;
     if (this.isDir) {
       await Promise.all(
         this.childrenValues.map(child => child.delete({
           keepEmptyParent: true,
-          dry
+          dry,
+          onDelete,
+          onDeleteError,
+          deleteThrottle
         })));
 
+      // excluded entries keep their dir
+      if (this._hidden.size !== 0) {
+        return false;
+      }
+
       // check only remove if not root, or root and removeRoot===true
       if (
         !keepEmptyParent &&
@@ -214,37 +529,60 @@ class ExpireEntry {
         )
       ) {
 
+        if (!dry && deleteThrottle) {
+          await deleteThrottle(this);
+        }
         try {
           await (
             dry ?
-              console.log('del dir  ', this._path) :
-              this._rm_dir(this._path)
+              this._logger.info(`del dir   ${this._path}`) :
+              this._backend.removeDir(this._path)
           );
         } catch (e) {
-          console.warn(`error deleting dir ${this._path}: ${e.message || e}`);
-          return;
+          this._logger.warn(`error deleting dir ${this._path}: ${e.message || e}`);
+          this._onError('delete', this._path, e, this);
+          onDeleteError && onDeleteError(this, e);
+          return false;
         }
+        removed = true;
+        onDelete && onDelete(this);
       }
     } else {
+      if (!dry && deleteThrottle) {
+        await deleteThrottle(this);
+      }
       try {
-        await (
-          dry ?
-            console.log('del file ', this.path) :
-            this._rm_file(this._path)
-        );
+        if (dry) {
+          moveTo ?
+            this._logger.info(`trash file ${this.path} ${moveTo}`) :
+            this._logger.info(`del file  ${this.path}`);
+        } else {
+          await (
+            remove ?
+              remove(this) :
+              moveTo ?
+                this._backend.move(this._path, moveTo) :
+                this._backend.removeFile(this._path)
+          );
+        }
       } catch (e) {
-        console.warn(`error deleting file ${this._path}: ${e.message || e}`);
-        return;
+        this._logger.warn(`error deleting file ${this._path}: ${e.message || e}`);
+        this._onError('delete', this._path, e, this);
+        onDeleteError && onDeleteError(this, e);
+        return false;
       }
+      removed = true;
+      onDelete && onDelete(this);
     }
 
     if (this.parent) {
       this.parent.children.delete(this.basename);
 
-      if (!keepEmptyParent && this.parent.children.size === 0) {
-        await this.parent.delete({ keepEmptyParent, dry });
+      if (!keepEmptyParent && !this.parent.hasChildren) {
+        await this.parent.delete({ keepEmptyParent, dry, onDelete, onDeleteError, deleteThrottle });
       }
     }
+    return removed;
   }
 
   /**
@@ -282,6 +620,27 @@ class ExpireEntry {
     }
   }
 
+  /**
+   * sum of the sizes of all files under this entry
+   * @return {number}
+   */
+  totalSize() {
+    if (!this._stats) {
+      return 0;
+    }
+    if (!this.isDir) {
+      return this.size;
+    }
+
+    let total = 0;
+    this.traverse((e) => {
+      if (e.stats && !e.isDir) {
+        total += e.size;
+      }
+    });
+    return total;
+  }
+
   /**
    * @return {ExpireEntry[]}
    */
@@ -297,42 +656,45 @@ class ExpireEntry {
 }
 
 
-class ExpireFS extends EventEmitter {
-
+class ExpireRule {
   /**
    * @param {String} folder
    * @param {RegExp|function(String,Stats):Boolean=} filter
    * @param {String=} [timeType='birthtime']
    * @param {Number=} [expire=Infinity] - milliseconds
-   * @param {Number=} [pressure=1] - percentage of disk usage
-   * @param {Number=} [minimumAge=0] - milliseconds | don't delete files if they are younger than value
-   * @param {Number=} [interval=300000] - milliseconds
-   * @param {Boolean=} [autoStart=true]
+   * @param {Number=} [minimumAge=0] - milliseconds
+   * @param {Number=} [maxSize=Infinity] - bytes | max total size of the folder
+   * @param {Number=} [maxFiles=Infinity] - max count of matching files in the folder
+   * @param {Boolean=} [maxFilesPerDir=false] - apply `maxFiles` to each directory instead
+   * @param {Object=} retention - `{last, hourly, daily, weekly, monthly, yearly, group}` | keep the newest
+   *                            matching file of that many periods and delete the others
+   * @param {String|String[]=} include - gitignore-style globs relative to `folder` | only matching files are
+   *                                     considered, in addition to `filter`
+   * @param {String|String[]=} exclude - gitignore-style globs relative to `folder` | excluded files are never
+   *                                     deleted and excluded dirs are not descended, like `.expireignore` files
+   * @param {RegExp|function(String,Stats):String=} groupBy - files of the same group are handled as one unit,
+   *                            the group is the first capture group (or whole match) of the path, or returned by the function
+   * @param {String=} [groupAge='newest'] - `newest` or `oldest`, member of a group whose time is the group's
    * @param {Boolean=} [unsafe=false]
-   * @param {Boolean=} [removeEmptyDirs=false]
-   * @param {Boolean=} [removeCleanedDirs=true]
-   * @param {Boolean=} [removeRoot=false]
-   * @param {Boolean=} [async=false]
-   * @param {Boolean=} [dry=false] - dry run
+   * @param {function():number=} [now=Date.now] - clock ages are measured with
    */
   constructor({
                 folder,
-                unsafe = false,
-                timeType = 'birthtime',
                 filter = /.*/,
+                timeType = 'birthtime',
                 expire = Infinity,
-                pressure = 1,
                 minimumAge = 0,
-                interval = 5 * 60 * 1000,
-                autoStart = true,
-                removeEmptyDirs = false,
-                removeCleanedDirs = true,
-                removeRoot = false,
-                async = true,
-                dry = true,
+                maxSize = Infinity,
+                maxFiles = Infinity,
+                maxFilesPerDir = false,
+                retention = null,
+                include = null,
+                exclude = null,
+                groupBy = null,
+                groupAge = 'newest',
+                unsafe = false,
+                now = Date.now,
               }) {
-    super();
-
     if (!folder) {
       throw new Error('folder should be specified');
     }
@@ -351,202 +713,3090 @@ class ExpireFS extends EventEmitter {
 
     this.filter = filter;
     this.expire = expire;
-    this.pressure = pressure;
     this.minimumAge = minimumAge;
-    this.interval = interval;
-    this.autoStart = autoStart;
-    this.debug_expire = debug_expire;
-    this.debug_pressure = debug_pressure;
+    this.maxSize = maxSize;
+    this.maxFiles = maxFiles;
+    this.maxFilesPerDir = maxFilesPerDir;
 
-    this.removeEmptyDirs = removeEmptyDirs;
-    this.removeCleanedDirs = removeCleanedDirs;
-    this.removeRoot = removeRoot;
+    if (retention) {
+      validateRetention(retention);
+    }
+    this.retention = retention;
 
-    this.dry = dry;
+    this.include = include;
+    this.exclude = exclude;
 
-    this._interval = null;
+    if (groupBy !== null && !(groupBy instanceof RegExp) && typeof groupBy !== 'function') {
+      throw new Error('groupBy should be a RegExp or a function');
+    }
+    this.groupBy = groupBy;
+    if (!validGroupAges.has(groupAge)) {
+      throw new Error('groupAge should be one of ' + [...validGroupAges].join(', '));
+    }
+    this.groupAge = groupAge;
+    /**
+     * @type {function():number}
+     * @private
+     */
+    this._now = now;
+    /**
+     * excluded paths, extended by the ignore files found under `folder`
+     * @type {ExpireGlobs}
+     */
+    this.ignore = new ExpireGlobs({ base: this.folder, patterns: exclude || [] });
+    /**
+     * @type {ExpireGlobs|null}
+     * @private
+     */
+    this._include = include ? new ExpireGlobs({ base: this.folder, patterns: include }) : null;
 
-    if (this.autoStart) {
-      this.start();
+    /**
+     * dirname -> overrides read from its `.expire.json`
+     * @type {Map<String, Object>}
+     * @private
+     */
+    this._overrides = new Map;
+    /**
+     * dirname -> policy of its files, cleared with the overrides
+     * @type {Map<String, Object>}
+     * @private
+     */
+    this._policies = new Map;
+  }
+
+  /**
+   * Replaces the per-directory overrides, found while scanning the rule's folder.
+   *
+   * @param {Map<String, Object>} overrides - dirname -> `{expire, minimumAge, filter, timeType, pressure}`
+   */
+  setOverrides(overrides) {
+    this._overrides = overrides;
+    this._policies.clear();
+  }
+
+  /**
+   * The rule's fields, overridden by the `.expire.json` files of the dirs between the rule's folder and the file.
+   *
+   * @param {String} filename
+   * @return {{filter: RegExp|function, timeType: String, expire: Number, minimumAge: Number, pressure: Boolean}}
+   */
+  policy(filename) {
+    return this._dirPolicy(path.dirname(filename));
+  }
+
+  /**
+   * @param {String} dirname
+   * @return {Object}
+   * @private
+   */
+  _dirPolicy(dirname) {
+    let policy = this._policies.get(dirname);
+    if (policy) {
+      return policy;
     }
 
-    this._async = async;
+    const inherited = dirname === this.folder || !this.contains(dirname) ?
+      {
+        filter: this.filter,
+        timeType: this.timeType,
+        expire: this.expire,
+        minimumAge: this.minimumAge,
+        pressure: true
+      } :
+      this._dirPolicy(path.dirname(dirname));
+    const overrides = this._overrides.get(dirname);
+    policy = overrides ? Object.assign({}, inherited, overrides) : inherited;
+    this._policies.set(dirname, policy);
+    return policy;
   }
 
   /**
-   * @return {Promise<ExpireEntry>}
+   * @param {String} filename - absolute path
+   * @return {boolean}
    */
-  async list() {
-    const entry = new ExpireEntry({
-      async: this._async,
-      path: this.folder,
-      parent: null
-    });
-    await entry.populate();
-    return entry;
+  contains(filename) {
+    return filename === this.folder || filename.startsWith(this.folder + path.sep);
   }
 
   /**
    * @param {String} path
    * @param {Stats} stats
    * @return {boolean}
-   * @private
    */
-  _shouldDelete(path, stats) {
-    const time = stats[this.timeType];
-    // if regex check match (false)
-    if (this.filter instanceof RegExp && this.filter.test(path) === false) {
+  matches(path, stats) {
+    if (this._include && !this._include.test(path, false)) {
       return false;
     }
-    // if function check output (falsy)
-    if (typeof this.filter === 'function' && !this.filter(path, stats)) {
+    const { filter } = this.policy(path);
+    // if regex check match (false)
+    if (filter instanceof RegExp && filter.test(path) === false) {
       return false;
     }
-    // if now - chosen time < expire time
-    if (Date.now() - time.getTime() < this.expire) {
+    // if function check output (falsy)
+    if (typeof filter === 'function' && !filter(path, stats)) {
       return false;
     }
-    // delete it
     return true;
   }
 
   /**
-   * @param {ExpireEntry} entry
-   * @param {boolean} dry
-   * @return {Promise<ExpireEntry[]>}
-   * @private
+   * @param {String} path
+   * @param {Stats} stats
+   * @return {String} - retention counts periods separately for each group
    */
-  async _expire({ entry, dry }) {
-    const list = entry.list();
-    const len = list.length;
-    const deleted = [];
-
-    for (let i = 0; i < len; i++) {
-      const e = list[i];
-
-      // remove empty dirs
-      if (this.removeEmptyDirs && e.isDir && !e.hasChildren) {
-        this.debug_expire('deleting empty dir', e.path);
-        await e.delete({
-          keepEmptyParent: !this.removeCleanedDirs,
-          dry,
-          removeRoot: this.removeRoot
-        });
-        deleted.push(e);
-      }
-
-      // if it's dir, continue
-      if (e.isDir) {
-        this.debug_expire('skipping dir', e.path);
-        continue;
-      }
-
-      // remove file is necessary
-      if (this._shouldDelete(e.path, e.stats)) {
-        this.debug_expire('deleting file', e.path);
-        await e.delete({
-          keepEmptyParent: !this.removeCleanedDirs,
-          dry,
-          removeRoot: this.removeRoot
-        });
-        deleted.push(e);
-      } else {
-        this.debug_expire('keeping file', e.path);
-      }
+  retentionGroup(path, stats) {
+    const group = this.retention && this.retention.group;
+    if (group instanceof RegExp) {
+      const captured = captureGroup(group, path);
+      return captured === null ? '' : captured;
     }
-    return deleted;
+    if (typeof group === 'function') {
+      return String(group(path, stats));
+    }
+    return '';
   }
 
   /**
-   * @param {ExpireEntry} entry
-   * @param {boolean} dry
-   * @return {Promise<ExpireEntry[]>}
-   * @private
+   * @param {String} path
+   * @param {Stats} stats
+   * @return {String|null} - group of the file, null when it is a unit of its own
    */
-  async _pressure({ entry, dry }) {
+  groupOf(path, stats) {
+    const { groupBy } = this;
+    if (groupBy instanceof RegExp) {
+      return captureGroup(groupBy, path);
+    }
+    if (typeof groupBy === 'function') {
+      const group = groupBy(path, stats);
+      return group === null || group === undefined || group === '' ? null : String(group);
+    }
+    return null;
+  }
+
+  /**
+   * @param {Stats} stats
+   * @param {String=} path - applies the overrides of the file's dir
+   * @return {number} - milliseconds
+   */
+  age(stats, path = null) {
+    const timeType = path ? this.policy(path).timeType : this.timeType;
+    return this._now() - stats[timeType].getTime();
+  }
+
+  /**
+   * @param {String} path
+   * @param {Stats} stats
+   * @return {boolean}
+   */
+  isExpired(path, stats) {
+    if (!this.matches(path, stats)) {
+      return false;
+    }
+    // if now - chosen time < expire time
+    if (this.age(stats, path) < this.policy(path).expire) {
+      return false;
+    }
+    // delete it
+    return true;
+  }
+}
+
+class ExpireFS extends EventEmitter {
+
+  /**
+   * @param {String=} folder - required unless `rules` is given
+   * @param {RegExp|function(String,Stats):Boolean=} filter
+   * @param {String=} [timeType='birthtime']
+   * @param {Number=} [expire=Infinity] - milliseconds
+   * @param {Number=} [pressure=1] - percentage of disk usage, default of both watermarks
+   * @param {Number=} pressureHigh - percentage of disk usage pressure eviction starts at, `pressure` by default
+   * @param {Number=} pressureLow - percentage of disk usage pressure eviction frees space down to, `pressureHigh` by default
+   * @param {Number=} [inodePressure=1] - percentage of inode usage
+   * @param {String|Object=} [pressureStrategy='oldest'] - order of pressure eviction:
+   *                            oldest, atime, largest, age-size, `{compare(a, b)}` or `{score(file)}`
+   * @param {Number=} [minimumAge=0] - milliseconds | don't delete files if they are younger than value
+   * @param {Number=} [maxSize=Infinity] - bytes | max total size of the folder
+   * @param {Number=} [maxFiles=Infinity] - max count of matching files in the folder
+   * @param {Boolean=} [maxFilesPerDir=false] - apply `maxFiles` to each directory instead
+   * @param {Object=} retention - `{last, hourly, daily, weekly, monthly, yearly, group}`,
+   *                            keep the newest matching file of that many periods and delete the others
+   * @param {String|String[]=} include - gitignore-style globs relative to the folder, only matching files are considered
+   * @param {String|String[]=} exclude - gitignore-style globs relative to the folder, never deleted nor descended
+   * @param {RegExp|function(String,Stats):String=} groupBy - files of the same group expire and are evicted together
+   * @param {String=} [groupAge='newest'] - `newest` or `oldest`, member of a group whose time is the group's
+   * @param {String|Object=} trash - folder to move deleted files to, or
+   *                            `{folder, expire=Infinity, maxSize=Infinity, emptyOnPressure=true}`
+   * @param {String|Object=} archive - folder to write .tar.gz bundles of deleted files to, or
+   *                            `{folder, expire=Infinity, maxSize=Infinity}`
+   * @param {String|Object=} audit - file to append a JSON line to for every deletion and cycle, or
+   *                            `{file, maxSize=10485760, maxFiles=5}`
+   * @param {Boolean|String|Object=} lock - lock file only its holder cleans with, `<folder>/.expire-fs.lock` if true, or
+   *                            `{file, heartbeat=10000, stale=30000}`
+   * @param {Number|Object=} metrics - port to serve Prometheus metrics on while started, or
+   *                            `{port, host='127.0.0.1', path='/metrics'}`
+   * @param {Object[]=} rules - ordered list of
+   *                            `{folder, filter, timeType, expire, minimumAge, maxSize, maxFiles, maxFilesPerDir, retention,
+   *                            include, exclude, groupBy, groupAge}`,
+   *                            missing fields fall back to the options above
+   * @param {Number=} [interval=300000] - milliseconds
+   * @param {String|Object=} schedule - cron expression of the clean cycles, or
+   *                            `{cron, windows, pressureInterval=interval}`, see the readme
+   * @param {Boolean=} [incremental=false] - keep the tree in memory and update it from fs.watch events
+   * @param {Number=} [reconcileInterval=3600000] - milliseconds | full rescan period in incremental mode
+   * @param {Number=} [concurrency=64] - max concurrent readdir/stat calls while scanning
+   * @param {Number=} [maxDeletesPerSecond=Infinity] - files and dirs removed per second
+   * @param {Number=} [maxBytesPerSecond=Infinity] - bytes of files removed per second
+   * @param {Number=} [maxStatsPerSecond=Infinity] - stat calls per second while scanning
+   * @param {Number|null=} criticalPressure - percentage of disk or inode usage over which pressure evictions
+   *                            ignore `minimumAge` and use `criticalThrottle`, never by default
+   * @param {Object=} criticalThrottle - `{maxDeletesPerSecond=Infinity, maxBytesPerSecond=Infinity}`
+   * @param {Boolean=} [stream=false] - walk the folders without keeping the trees in memory
+   * @param {Boolean=} [autoStart=true]
+   * @param {Boolean=} [unsafe=false]
+   * @param {Boolean=} [removeEmptyDirs=false]
+   * @param {Boolean=} [removeCleanedDirs=true]
+   * @param {Boolean=} [removeRoot=false]
+   * @param {Boolean=} [async=false]
+   * @param {ExpireFsBackend|Object=} backend - storage to clean, `{list, stat, readFile, removeFile, removeDir,
+   *                            diskUsage, inodeUsage, now}`, the local filesystem by default
+   * @param {Boolean=} [dry=false] - dry run
+   * @param {{info: function, warn: function, error: function=}=} [logger=console] - pino, winston or console compatible,
+   *                            errors and dry runs are reported to it
+   */
+  constructor({
+                folder,
+                unsafe = false,
+                timeType = 'birthtime',
+                filter = /.*/,
+                expire = Infinity,
+                pressure = 1,
+                pressureHigh = pressure,
+                pressureLow = pressureHigh,
+                inodePressure = 1,
+                pressureStrategy = 'oldest',
+                minimumAge = 0,
+                maxSize = Infinity,
+                maxFiles = Infinity,
+                maxFilesPerDir = false,
+                retention = null,
+                include = null,
+                exclude = null,
+                groupBy = null,
+                groupAge = 'newest',
+                rules = null,
+                trash = null,
+                archive = null,
+                audit = null,
+                lock = null,
+                metrics = null,
+                interval = 5 * 60 * 1000,
+                schedule = null,
+                incremental = false,
+                reconcileInterval = 60 * 60 * 1000,
+                concurrency = 64,
+                maxDeletesPerSecond = Infinity,
+                maxBytesPerSecond = Infinity,
+                maxStatsPerSecond = Infinity,
+                criticalPressure = null,
+                criticalThrottle = null,
+                stream = false,
+                autoStart = true,
+                removeEmptyDirs = false,
+                removeCleanedDirs = true,
+                removeRoot = false,
+                async = true,
+                backend = null,
+                dry = true,
+                logger = console,
+              }) {
+    super();
+
+    if (backend && backendMethods.some(method => typeof backend[method] !== 'function')) {
+      throw new Error(`backend should implement ${backendMethods.join(', ')}`);
+    }
+    /**
+     * @type {ExpireFsBackend|Object}
+     */
+    this.backend = backend || new ExpireFsBackend({ async });
+    /**
+     * clock of the backend, ages are measured with it
+     * @type {function():number}
+     * @private
+     */
+    this._now = typeof this.backend.now === 'function' ? () => this.backend.now() : Date.now;
+    if (trash && (typeof this.backend.move !== 'function' || typeof this.backend.mkdir !== 'function')) {
+      throw new Error('trash needs a backend implementing move and mkdir');
+    }
+    // trash, archive and watchers work on the local filesystem only
+    if (!(this.backend instanceof ExpireFsBackend) && (trash || archive || incremental)) {
+      throw new Error('trash, archive and incremental mode need the fs backend');
+    }
+
+    const defaults = {
+      folder,
+      filter,
+      timeType,
+      expire,
+      minimumAge,
+      maxSize,
+      maxFiles,
+      maxFilesPerDir,
+      retention,
+      include,
+      exclude,
+      groupBy,
+      groupAge,
+      unsafe
+    };
+    if (rules && !Array.isArray(rules)) {
+      throw new Error('rules should be an array');
+    }
+    if (rules && rules.length === 0) {
+      throw new Error('rules should contain at least one rule');
+    }
+    /**
+     * first matching rule wins
+     * @type {ExpireRule[]}
+     */
+    this.rules = (rules || [{}]).map(rule => new ExpireRule(Object.assign({}, defaults, rule, { now: this._now })));
+
+    this.folder = this.rules[0].folder;
+    this.timeType = this.rules[0].timeType;
+    this.filter = this.rules[0].filter;
+    this.expire = this.rules[0].expire;
+    this.minimumAge = this.rules[0].minimumAge;
+    this.maxSize = this.rules[0].maxSize;
+    this.maxFiles = this.rules[0].maxFiles;
+    this.maxFilesPerDir = this.rules[0].maxFilesPerDir;
+    this.retention = this.rules[0].retention;
+    this.include = this.rules[0].include;
+    this.exclude = this.rules[0].exclude;
+
+    if (!logger || typeof logger.info !== 'function' || typeof logger.warn !== 'function') {
+      throw new Error('logger should have info and warn methods');
+    }
+    /**
+     * @type {{info: function, warn: function, error: function=}}
+     */
+    this.logger = logger;
+
+    /**
+     * null when files are deleted right away
+     * @type {{folder: String, expire: Number, maxSize: Number, emptyOnPressure: Boolean}|null}
+     */
+    this.trash = null;
+    /**
+     * purges the trash, time in trash is measured by ctime which is updated when a file is moved
+     * @type {ExpireRule|null}
+     * @private
+     */
+    this._trashRule = null;
+    if (trash) {
+      this.trash = Object.assign(
+        { expire: Infinity, maxSize: Infinity, emptyOnPressure: true },
+        typeof trash === 'string' ? { folder: trash } : trash
+      );
+      this._trashRule = new ExpireRule({
+        folder: this.trash.folder,
+        timeType: 'ctime',
+        expire: this.trash.expire,
+        maxSize: this.trash.maxSize,
+        unsafe
+      });
+      this.trash.folder = this._trashRule.folder;
+      if (this.rules.some(rule => this._trashRule.contains(rule.folder))) {
+        throw new Error('trash folder should not contain a watched folder');
+      }
+    }
+
+    /**
+     * null when files are deleted right away
+     * @type {{folder: String, expire: Number, maxSize: Number}|null}
+     */
+    this.archive = null;
+    /**
+     * purges old bundles
+     * @type {ExpireRule|null}
+     * @private
+     */
+    this._archiveRule = null;
+    if (archive) {
+      if (trash) {
+        throw new Error('trash and archive cannot be used together');
+      }
+      this.archive = Object.assign(
+        { expire: Infinity, maxSize: Infinity },
+        typeof archive === 'string' ? { folder: archive } : archive
+      );
+      this._archiveRule = new ExpireRule({
+        folder: this.archive.folder,
+        filter: /\.tar\.gz$/,
+        timeType: 'mtime',
+        expire: this.archive.expire,
+        maxSize: this.archive.maxSize,
+        unsafe
+      });
+      this.archive.folder = this._archiveRule.folder;
+      if (this.rules.some(rule => this._archiveRule.contains(rule.folder))) {
+        throw new Error('archive folder should not contain a watched folder');
+      }
+    }
+
+    /**
+     * rules purging the trash or the archive
+     * @type {ExpireRule[]}
+     * @private
+     */
+    this._internalRules = [this._trashRule, this._archiveRule].filter(Boolean);
+    /**
+     * paths in the trash and in bundles are relative to this folder
+     * @type {String}
+     * @private
+     */
+    this._relativeBase = commonRoot(this.rules.map(rule => rule.folder));
+    /**
+     * bundle of the current cycle
+     * @type {ExpireArchive|null}
+     * @private
+     */
+    this._archive = null;
+
+    /**
+     * null when no audit log is written
+     * @type {{file: String, maxSize: Number, maxFiles: Number}|null}
+     */
+    this.audit = null;
+    /**
+     * @type {ExpireAudit|null}
+     * @private
+     */
+    this._audit = null;
+    if (audit) {
+      this._audit = new ExpireAudit(Object.assign({ logger }, typeof audit === 'string' ? { file: audit } : audit));
+      this.audit = {
+        file: this._audit.file,
+        maxSize: this._audit.maxSize,
+        maxFiles: this._audit.maxFiles
+      };
+    }
+
+    /**
+     * null when cycles don't need the lock
+     * @type {{file: String, heartbeat: Number, stale: Number}|null}
+     */
+    this.lock = null;
+    /**
+     * @type {ExpireLock|null}
+     * @private
+     */
+    this._lock = null;
+    /**
+     * resolved path of the lock file, never deleted
+     * @type {String|null}
+     * @private
+     */
+    this._lockFile = null;
+    if (lock) {
+      if (!(this.backend instanceof ExpireFsBackend)) {
+        throw new Error('lock needs the fs backend');
+      }
+      const file = path.join(this.rules[0].folder, LOCK_FILE);
+      this._lock = new ExpireLock(Object.assign(
+        { file, logger, onLost: () => this.emit('lock-lost', { file: this._lock.file }) },
+        typeof lock === 'string' ? { file: lock } : lock === true ? {} : lock
+      ));
+      this._lockFile = path.resolve(this._lock.file);
+      this.lock = {
+        file: this._lock.file,
+        heartbeat: this._lock.heartbeat,
+        stale: this._lock.stale
+      };
+    }
+    /**
+     * counters of the running cycle, for its summary
+     * @type {{scanned: number, files: number, dirs: number, bytesFreed: number}|null}
+     * @private
+     */
+    this._cycle = null;
+
+    /**
+     * @type {ExpireMetrics}
+     * @private
+     */
+    this._metrics = new ExpireMetrics;
+    /**
+     * where metrics are served while started, null when they are only available from `metrics()`
+     * @type {{port: Number, host: String, path: String}|null}
+     */
+    this.metricsServer = metrics === null ?
+      null :
+      Object.assign({ host: '127.0.0.1', path: '/metrics' }, typeof metrics === 'number' ? { port: metrics } : metrics);
+    /**
+     * `onError` of the entries
+     * @type {function(String, String, Error):void}
+     * @private
+     */
+    this._onEntryError = (operation, filename, e, entry) => {
+      this._metrics.error(operation);
+      if (operation === 'scan') {
+        this.emit('scan-error', { entry, path: filename, error: e });
+      }
+      // malformed override files don't stop the cycle, only report if someone listens
+      if (operation === 'policy' && this.listenerCount('error')) {
+        this.emit('error', new Error(`malformed ${filename}: ${e.message || e}`));
+      }
+    };
+
+    this.pressure = pressure;
+    if (pressureLow > pressureHigh) {
+      throw new Error('pressureLow should not be above pressureHigh');
+    }
+    this.pressureHigh = pressureHigh;
+    this.pressureLow = pressureLow;
+    /**
+     * roots of the devices being evicted from, until their usage is back under `pressureLow`
+     * @type {Set<String>}
+     * @private
+     */
+    this._pressured = new Set;
+    if (inodePressure < 1 && typeof this.backend.inodeUsage !== 'function') {
+      throw new Error('inodePressure needs a backend implementing inodeUsage');
+    }
+    this.inodePressure = inodePressure;
+    /**
+     * whether the backend was found unable to report inode usage, warned about once
+     * @type {boolean}
+     * @private
+     */
+    this._inodeUsageMissing = false;
+    // throws early on an unknown strategy, the order itself is created for each eviction
+    createStrategy(pressureStrategy);
+    this.pressureStrategy = pressureStrategy;
+    this.interval = interval;
+    /**
+     * @type {ExpireSchedule|null}
+     */
+    this.schedule = schedule ? new ExpireSchedule(typeof schedule === 'string' ? { cron: schedule } : schedule, { interval }) : null;
+    this.incremental = incremental;
+    this.reconcileInterval = reconcileInterval;
+    if (incremental && stream) {
+      throw new Error('incremental and stream modes cannot be used together');
+    }
+    // units need all their members at hand
+    if (stream && this.rules.some(rule => rule.groupBy)) {
+      throw new Error('groupBy is not supported in stream mode');
+    }
+    this.stream = stream;
+    // nothing would ever run under a limit below 1
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new Error('concurrency should be a positive integer');
+    }
+    this.concurrency = concurrency;
+    this._limit = createLimiter(concurrency);
+
+    this.maxDeletesPerSecond = validateRate(maxDeletesPerSecond, 'maxDeletesPerSecond');
+    this.maxBytesPerSecond = validateRate(maxBytesPerSecond, 'maxBytesPerSecond');
+    this.maxStatsPerSecond = validateRate(maxStatsPerSecond, 'maxStatsPerSecond');
+    this.criticalPressure = criticalPressure;
+    this.criticalThrottle = Object.assign({ maxDeletesPerSecond: Infinity, maxBytesPerSecond: Infinity }, criticalThrottle);
+    validateRate(this.criticalThrottle.maxDeletesPerSecond, 'criticalThrottle.maxDeletesPerSecond');
+    validateRate(this.criticalThrottle.maxBytesPerSecond, 'criticalThrottle.maxBytesPerSecond');
+    // waits end early once the cycle is aborted
+    const aborted = () => this._isAborted();
+    /**
+     * @type {{stats: function(number=):Promise<void>, deletes: function(number=):Promise<void>,
+     *         bytes: function(number=):Promise<void>}}
+     * @private
+     */
+    this._throttles = {
+      stats: createThrottle(this.maxStatsPerSecond, aborted),
+      deletes: createThrottle(this.maxDeletesPerSecond, aborted),
+      bytes: createThrottle(this.maxBytesPerSecond, aborted)
+    };
+    /**
+     * budget of pressure evictions over `criticalPressure`
+     * @type {{deletes: function(number=):Promise<void>, bytes: function(number=):Promise<void>}}
+     * @private
+     */
+    this._criticalThrottles = {
+      deletes: createThrottle(this.criticalThrottle.maxDeletesPerSecond, aborted),
+      bytes: createThrottle(this.criticalThrottle.maxBytesPerSecond, aborted)
+    };
+    this.autoStart = autoStart;
+    this.debug_expire = debug_expire;
+    this.debug_pressure = debug_pressure;
+
+    this.removeEmptyDirs = removeEmptyDirs;
+    this.removeCleanedDirs = removeCleanedDirs;
+    this.removeRoot = removeRoot;
+
+    this.dry = dry;
+
+    this._started = false;
+    /**
+     * next scheduled cycle while started
+     * @type {Timeout|null}
+     * @private
+     */
+    this._timer = null;
+    /**
+     * next pressure check while started with a schedule
+     * @type {Timeout|null}
+     * @private
+     */
+    this._pressureTimer = null;
+    /**
+     * @type {{clean: Date|null, pressure: Date|null}}
+     * @private
+     */
+    this._next = { clean: null, pressure: null };
+    /**
+     * settles once every requested cycle has ended, cycles run one after the other
+     * @type {Promise<void>}
+     * @private
+     */
+    this._cycles = Promise.resolve();
+    /**
+     * shared by the cycles requested since the last stop(), which sets `stopped`
+     * @type {{stopped: boolean}}
+     * @private
+     */
+    this._stop = { stopped: false };
+
+    /**
+     * live trees in incremental mode
+     * @type {{trees: {rule: ExpireRule, entry: ExpireEntry}[], watchers: ExpireWatcher[], scannedAt: number}|null}
+     * @private
+     */
+    this._index = null;
+    /**
+     * when the OS watch limit was last reached, incremental mode scans fully until `reconcileInterval` after it
+     * @type {number|null}
+     * @private
+     */
+    this._watchLimitedAt = null;
+
+    if (this.autoStart) {
+      this.start();
+    }
+
+    this._async = async;
+  }
+
+  /**
+   * @param {String} folder
+   * @param {ExpireGlobs|null} ignore
+   * @return {Promise<ExpireEntry>}
+   * @private
+   */
+  async _listFolder(folder, ignore) {
+    const entry = new ExpireEntry({
+      async: this._async,
+      path: folder,
+      parent: null,
+      limit: this._limit,
+      statThrottle: this._throttles.stats,
+      backend: this.backend,
+      onError: this._onEntryError,
+      ignore,
+      lockFile: this._lockFile,
+      logger: this.logger
+    });
+    await entry.populate();
+    return entry;
+  }
+
+  /**
+   * @return {Promise<ExpireEntry>}
+   */
+  list() {
+    return this._listFolder(this.folder, this.rules[0].ignore);
+  }
+
+  /**
+   * @param {boolean=} [dry=false] - dry runs never touch the live trees
+   * @return {Promise<{rule: ExpireRule, entry: ExpireEntry}[]>}
+   * @private
+   */
+  async _listRules({ dry = false } = {}) {
+    const live = this.incremental && !dry;
+
+    if (live && this._index && this._isIndexFresh()) {
+      await Promise.all(this._index.watchers.map(w => w.settled()));
+      return this._index.trees;
+    }
+
+    const trees = [];
+    const rules = this._allRules();
+    // one rule at a time so populate() concurrency doesn't multiply
+    for (let i = 0; i < rules.length; i++) {
+      const rule = rules[i];
+      const entry = await this._listFolder(rule.folder, rule.ignore);
+      rule.setOverrides(this._overridesOf(entry));
+      trees.push({ rule, entry });
+    }
+
+    if (live && this._watchLimitedAt !== null && Date.now() - this._watchLimitedAt < this.reconcileInterval) {
+      // don't take thousands of watches every cycle only to hit the limit again
+      this._closeIndex();
+    } else if (live) {
+      this._setIndex(trees);
+    }
+    return trees;
+  }
+
+  /**
+   * @param {ExpireEntry} root - populated tree
+   * @return {Map<String, Object>} - dirname -> overrides of its `.expire.json`
+   * @private
+   */
+  _overridesOf(root) {
+    const overrides = new Map;
+    const collect = (e) => {
+      if (e.overrides) {
+        overrides.set(e.path, e.overrides);
+      }
+    };
+    collect(root);
+    root.traverse(collect);
+    return overrides;
+  }
+
+  /**
+   * @return {boolean}
+   * @private
+   */
+  _isIndexFresh() {
+    return Date.now() - this._index.scannedAt < this.reconcileInterval &&
+      this._index.watchers.every(w => !w.stale);
+  }
+
+  /**
+   * @param {{rule: ExpireRule, entry: ExpireEntry}[]} trees
+   * @private
+   */
+  _setIndex(trees) {
+    this._closeIndex();
+
+    const watchers = trees.map(({ entry }) => {
+      const watcher = new ExpireWatcher({ root: entry });
+      watcher.on('error', (e) => {
+        // the next cycle falls back to a full scan, only report if someone listens
+        if (this.listenerCount('error')) {
+          this.emit('error', e);
+        }
+      });
+      watcher.on('limit', (e) => {
+        if (this._watchLimitedAt === null) {
+          this.logger.warn(
+            `watch limit reached in ${entry.path} (${e.code}), incremental mode falls back to full scans, ` +
+            'raise fs.inotify.max_user_watches or the open files limit'
+          );
+        }
+        this._watchLimitedAt = Date.now();
+      });
+      watcher.start();
+      return watcher;
+    });
+
+    this._index = { trees, watchers, scannedAt: Date.now() };
+  }
+
+  /**
+   * @private
+   */
+  _closeIndex() {
+    if (!this._index) {
+      return;
+    }
+    this._index.watchers.forEach(w => w.stop());
+    this._index = null;
+  }
+
+  /**
+   * Rule owning a path: the first rule whose folder contains it and whose filter matches it.
+   * Files matched by no filter belong to the first rule containing them
+   * and dirs are never filtered.
+   *
+   * @param {String} path
+   * @param {Stats} stats
+   * @return {ExpireRule|null}
+   * @private
+   */
+  _ruleFor(path, stats) {
+    if (stats.isDirectory() || this._internalRules.some(rule => rule.contains(path))) {
+      return this._ruleForDir(path);
+    }
+
+    let owner = null;
+    for (let i = 0; i < this.rules.length; i++) {
+      const rule = this.rules[i];
+      if (!rule.contains(path)) {
+        continue;
+      }
+      if (rule.matches(path, stats)) {
+        return rule;
+      }
+      owner = owner || rule;
+    }
+    return owner;
+  }
+
+  /**
+   * @param {String} dirname
+   * @return {ExpireRule|null} - trash or archive, or the first rule containing the dir
+   * @private
+   */
+  _ruleForDir(dirname) {
+    return this._internalRules.find(rule => rule.contains(dirname)) ||
+      this.rules.find(rule => rule.contains(dirname)) ||
+      null;
+  }
+
+  /**
+   * @return {ExpireRule[]} - rules followed by the trash and archive purge rules
+   * @private
+   */
+  _allRules() {
+    return this.rules.concat(this._internalRules);
+  }
+
+  /**
+   * Deletes the entry, or moves it to the trash.
+   *
+   * @param {ExpireEntry} entry
+   * @param {ExpireRule} rule
+   * @param {String} reason - expire, max-files, max-size, pressure, inode-pressure or empty-dir
+   * @param {boolean} dry
+   * @param {boolean=} keepEmptyParent
+   * @param {boolean=} removeRoot
+   * @param {boolean=} [quarantine=true] - false to unlink even with a trash or an archive
+   * @param {boolean=} [critical=false] - pressure eviction over `criticalPressure`, uses `criticalThrottle`
+   * @return {Promise<boolean>} - whether the entry was removed, or archived
+   * @private
+   */
+  _deleteEntry(entry, rule, { reason, dry, keepEmptyParent = true, removeRoot = false, quarantine = true, critical = false }) {
+    this._checkAborted();
+    quarantine = quarantine && !entry.isDir && this._internalRules.indexOf(rule) === -1;
+
+    if (quarantine && this._archiveRule && !dry) {
+      // unlinked once the bundle is on disk, so its dirs can't be removed yet
+      return entry.delete({
+        keepEmptyParent: true,
+        remove: e => this._archiveFile(e, rule, reason),
+        // throttled when unlinked
+        onDeleteError: this._onDeleteError({ entry, rule, reason })
+      });
+    }
+
+    const moveTo = quarantine && this._trashRule ? this._trashPath(entry.path) : null;
+    const action = moveTo ? 'trash' : quarantine && this._archiveRule ? 'archive' : 'unlink';
+    return entry.delete({
+      dry,
+      keepEmptyParent,
+      removeRoot,
+      moveTo,
+      onDelete: this._onDelete({ entry, rule, reason, action, dry }),
+      onDeleteError: this._onDeleteError({ entry, rule, reason }),
+      deleteThrottle: this._deleteThrottle(critical)
+    });
+  }
+
+  /**
+   * @param {boolean=} [critical=false] - use the budget of `criticalThrottle`
+   * @return {function(ExpireEntry):Promise<void>} - `deleteThrottle` of `ExpireEntry.delete()`,
+   *         rejects with an AbortError when the cycle was aborted while waiting
+   * @private
+   */
+  _deleteThrottle(critical = false) {
+    const throttles = critical ? this._criticalThrottles : this._throttles;
+    return entry => Promise.all([
+      throttles.deletes(),
+      entry.isDir ? null : throttles.bytes(entry.size)
+    ]).then(() => this._checkAborted());
+  }
+
+  /**
+   * Stats a file within the concurrency limit and `maxStatsPerSecond`.
+   *
+   * @param {String} filename
+   * @return {Promise<Stats>}
+   * @private
+   */
+  async _stat(filename) {
+    await this._throttles.stats();
+    return this._limit(() => this.backend.stat(filename));
+  }
+
+  /**
+   * @param {ExpireEntry} entry - entry being deleted, other dirs removed along are empty dirs
+   * @param {ExpireRule} rule
+   * @param {String} reason
+   * @param {String} action - unlink, trash or archive
+   * @param {boolean} dry
+   * @return {function(ExpireEntry):void} - `onDelete` of `ExpireEntry.delete()`
+   * @private
+   */
+  _onDelete({ entry, rule, reason, action, dry }) {
+    return e => this._record({
+      entry: e,
+      rule,
+      reason: e === entry || !e.isDir ? reason : 'empty-dir',
+      action: e.isDir ? 'rmdir' : action,
+      dry
+    });
+  }
+
+  /**
+   * @param {ExpireEntry} entry - entry being deleted
+   * @param {ExpireRule} rule
+   * @param {String} reason
+   * @return {function(ExpireEntry, Error):void} - `onDeleteError` of `ExpireEntry.delete()`
+   * @private
+   */
+  _onDeleteError({ entry, rule, reason }) {
+    return (e, error) => this.emit('delete-error', {
+      entry: e,
+      rule,
+      reason: e === entry || !e.isDir ? reason : 'empty-dir',
+      error
+    });
+  }
+
+  /**
+   * Counts a deletion in the cycle summary and the metrics, writes it to the audit log and emits it.
+   *
+   * @param {ExpireEntry} entry
+   * @param {ExpireRule} rule
+   * @param {String} reason
+   * @param {String} action - unlink, trash, archive or rmdir
+   * @param {boolean} dry
+   * @private
+   */
+  _record({ entry, rule, reason, action, dry }) {
+    const filename = entry.path;
+    const stats = entry.stats;
+    const size = action === 'rmdir' ? 0 : stats.size;
+
+    if (this._cycle) {
+      if (action === 'rmdir') {
+        this._cycle.dirs++;
+      } else {
+        this._cycle.files++;
+      }
+      // files moved to the trash still use their space
+      if (action !== 'trash') {
+        this._cycle.bytesFreed += size;
+      }
+    }
+    if (!dry) {
+      this._metrics.deleted({ reason, isDir: action === 'rmdir', size });
+    }
+
+    if (this._audit) {
+      const { timeType } = rule.policy(filename);
+      this._audit.write({
+        timestamp: new Date().toISOString(),
+        event: 'delete',
+        path: filename,
+        size,
+        timeType,
+        time: stats[timeType].toISOString(),
+        reason,
+        action,
+        rule: rule.folder,
+        dry
+      });
+    }
+
+    if (this._cycle && this._cycle.plan) {
+      this._cycle.plan.push(this._planItem({ entry, rule, reason, action }));
+    }
+
+    this.emit('delete', { entry, rule, reason, action, dry });
+  }
+
+  /**
+   * @param {ExpireEntry} entry
+   * @param {ExpireRule} rule
+   * @param {String} reason
+   * @param {String} action
+   * @return {Object} - serializable deletion of a plan
+   * @private
+   */
+  _planItem({ entry, rule, reason, action }) {
+    const { timeType, expire } = rule.policy(entry.path);
+    const isDir = action === 'rmdir';
+    const group = isDir ? null : rule.groupOf(entry.path, entry.stats);
+    // a grouped file expires with its group, not on its own age
+    const expiredBy = reason === 'expire' && group === null ? rule.age(entry.stats, entry.path) - expire : null;
+
+    const item = {
+      path: entry.path,
+      type: isDir ? 'dir' : 'file',
+      reason,
+      description: describe(reason, expiredBy, group),
+      action,
+      rule: rule.folder,
+      size: isDir ? 0 : entry.stats.size,
+      timeType,
+      time: entry.stats[timeType].toISOString(),
+      mtime: entry.stats.mtime.toISOString()
+    };
+    if (expiredBy !== null) {
+      item.expiredBy = expiredBy;
+    }
+    if (group !== null) {
+      item.group = group;
+    }
+    return item;
+  }
+
+  /**
+   * @return {boolean} - someone listens to skipped files, they are only looked for then
+   * @private
+   */
+  get _skipping() {
+    return this.listenerCount('skip') !== 0;
+  }
+
+  /**
+   * @param {ExpireEntry} entry - file kept by the cycle
+   * @param {ExpireRule} rule
+   * @param {String} reason - not-expired, minimum-age or retention
+   * @private
+   */
+  _skip({ entry, rule, reason }) {
+    this.emit('skip', { entry, rule, reason });
+  }
+
+  /**
+   * @param {String} filename
+   * @param {Stats} stats
+   * @return {ExpireEntry} - entry out of any tree
+   * @private
+   */
+  _entry(filename, stats) {
+    return new ExpireEntry({
+      async: this._async,
+      path: filename,
+      parent: null,
+      stats,
+      limit: this._limit,
+      statThrottle: this._throttles.stats,
+      backend: this.backend,
+      onError: this._onEntryError,
+      lockFile: this._lockFile,
+      logger: this.logger
+    });
+  }
+
+  /**
+   * @param {ExpireEntry} entry
+   * @param {ExpireRule} rule
+   * @param {String} reason
+   * @return {Promise<void>}
+   * @private
+   */
+  _archiveFile(entry, rule, reason) {
+    // archive folder is created at the start of the cycle
+    if (!this._archive) {
+      const name = `expire-fs-${new Date().toISOString().replace(/[:.]/g, '-')}.tar.gz`;
+      this._archive = new ExpireArchive({
+        file: path.join(this._archiveRule.folder, name),
+        base: this._relativeBase
+      });
+      debug_archive('creating bundle', this._archive.file);
+    }
+    debug_archive('archiving file', entry.path);
+    return this._archive.add(entry.path, entry.stats, { entry, rule, reason });
+  }
+
+  /**
+   * Writes the bundle of the cycle to disk, then unlinks the archived files.
+   *
+   * @return {Promise<ExpireEntry[]>} - dirs left empty and removed
+   * @private
+   */
+  async _commitArchive() {
+    const archive = this._archive;
+    if (!archive) {
+      return [];
+    }
+    this._archive = null;
+
+    try {
+      await archive.commit();
+    } catch (e) {
+      await archive.abort();
+      throw e;
+    }
+    debug_archive(`wrote ${archive.files.length} files to ${archive.file}`);
+
+    const removed = [];
+    for (let i = 0; i < archive.files.length; i++) {
+      const { filename, data: { entry, rule, reason } } = archive.files[i];
+      await this._deleteThrottle()(entry);
+      try {
+        await this._limit(() => this.backend.removeFile(filename));
+      } catch (e) {
+        this.logger.warn(`error deleting file ${filename}: ${e.message || e}`);
+        this._onEntryError('delete', filename, e, entry);
+        this._onDeleteError({ entry, rule, reason })(entry, e);
+        continue;
+      }
+      this._record({ entry, rule, reason, action: 'archive', dry: false });
+      removed.push(...await this._removeEmptyParents({ rule, filename, dry: false }));
+    }
+    return removed;
+  }
+
+  /**
+   * @param {String} filename - watched path
+   * @return {String} - path in the trash
+   * @private
+   */
+  _trashPath(filename) {
+    return path.join(this._trashRule.folder, path.relative(this._relativeBase, filename));
+  }
+
+  /**
+   * @param {String} path
+   * @param {Stats} stats
+   * @return {boolean}
+   * @private
+   */
+  _shouldDelete(path, stats) {
+    const rule = this._ruleFor(path, stats);
+    return !!rule && rule.isExpired(path, stats);
+  }
+
+  /**
+   * @param {ExpireEntry} entry
+   * @param {ExpireRule} rule
+   * @param {boolean} dry
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _expire({ entry, rule, dry }) {
+    const list = entry.list();
+    const len = list.length;
+    const deleted = [];
+
+    const units = this._units(rule, list
+      .filter(e => !e.isDir && this._ruleFor(e.path, e.stats) === rule)
+      .map(e => ({ entry: e, time: e.getTime(rule.policy(e.path).timeType).getTime() })));
+    /** @type {Set<Object>} */
+    const decided = new Set;
+
+    for (let i = 0; i < len; i++) {
+      const e = list[i];
+
+      // entry lives in a nested folder handled by another rule
+      if (this._ruleFor(e.path, e.stats) !== rule) {
+        continue;
+      }
+
+      // remove empty dirs
+      if (this.removeEmptyDirs && e.isDir && !e.hasChildren) {
+        this._checkAborted();
+        this.debug_expire('deleting empty dir', e.path);
+        await e.delete({
+          keepEmptyParent: !this.removeCleanedDirs,
+          dry,
+          removeRoot: this.removeRoot,
+          onDelete: this._onDelete({ entry: e, rule, reason: 'empty-dir', action: 'unlink', dry }),
+          onDeleteError: this._onDeleteError({ entry: e, rule, reason: 'empty-dir' }),
+          deleteThrottle: this._deleteThrottle()
+        });
+        deleted.push(e);
+      }
+
+      // if it's dir, continue
+      if (e.isDir) {
+        this.debug_expire('skipping dir', e.path);
+        continue;
+      }
+
+      // the whole group is decided on its first member
+      const unit = units.get(e);
+      if (unit) {
+        if (!decided.has(unit)) {
+          decided.add(unit);
+          deleted.push(...await this._expireUnit({ unit, rule, dry }));
+        }
+        continue;
+      }
+
+      // remove file is necessary
+      if (rule.isExpired(e.path, e.stats)) {
+        this.debug_expire('deleting file', e.path);
+        await this._deleteEntry(e, rule, {
+          reason: 'expire',
+          keepEmptyParent: !this.removeCleanedDirs,
+          dry,
+          removeRoot: this.removeRoot
+        });
+        deleted.push(e);
+      } else {
+        this.debug_expire('keeping file', e.path);
+        if (this._skipping && rule.matches(e.path, e.stats)) {
+          this._skip({ entry: e, rule, reason: 'not-expired' });
+        }
+      }
+    }
+    return deleted;
+  }
+  /**
+   * A group expires once its age, that of its newest or oldest member, reaches the `expire` of its matching files.
+   * All its members are deleted then, matching or not.
+   *
+   * @param {{group: String, members: ExpireEntry[], time: number}} unit
+   * @param {ExpireRule} rule
+   * @param {boolean} dry
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _expireUnit({ unit, rule, dry }) {
+    const age = this._now() - unit.time;
+    const matching = unit.members.filter(e => rule.matches(e.path, e.stats));
+    if (!matching.length || matching.some(e => age < rule.policy(e.path).expire)) {
+      this.debug_expire('keeping group', unit.group);
+      if (this._skipping) {
+        matching.forEach(e => this._skip({ entry: e, rule, reason: 'not-expired' }));
+      }
+      return [];
+    }
+
+    const deleted = [];
+    for (let i = 0; i < unit.members.length; i++) {
+      const e = unit.members[i];
+      this.debug_expire('deleting file', e.path, 'of group', unit.group);
+      await this._deleteEntry(e, rule, {
+        reason: 'expire',
+        keepEmptyParent: !this.removeCleanedDirs,
+        dry,
+        removeRoot: this.removeRoot
+      });
+      deleted.push(e);
+    }
+    return deleted;
+  }
+
+  /**
+   * Gathers the files of a rule by their `groupBy` group.
+   *
+   * @param {ExpireRule} rule
+   * @param {{entry: ExpireEntry, time: number}[]} files - owned by the rule, `time` by their policy's timeType
+   * @return {Map<ExpireEntry, {group: String, members: ExpireEntry[], time: number}>} - unit of each grouped file,
+   *         its time is the newest or the oldest of its members' by `groupAge`
+   * @private
+   */
+  _units(rule, files) {
+    /** @type {Map<ExpireEntry, Object>} */
+    const units = new Map;
+    if (!rule.groupBy) {
+      return units;
+    }
+
+    const groups = new Map;
+    const pick = rule.groupAge === 'oldest' ? Math.min : Math.max;
+    files.forEach(({ entry, time }) => {
+      const group = rule.groupOf(entry.path, entry.stats);
+      if (group === null) {
+        return;
+      }
+      if (!groups.has(group)) {
+        groups.set(group, { group, members: [], time });
+      }
+      const unit = groups.get(group);
+      unit.members.push(entry);
+      unit.time = pick(unit.time, time);
+      units.set(entry, unit);
+    });
+    return units;
+  }
+
+
+  /**
+   * Plans pressure eviction once per device across every rule living on it.
+   *
+   * @param {{rule: ExpireRule, entry: ExpireEntry}[]} trees
+   * @param {boolean} dry
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _pressure({ trees, dry }) {
+    const deleted = [];
+
+    /** @type {Map<number, {rule: ExpireRule, entry: ExpireEntry}[]>} */
+    const devices = new Map;
+    trees.forEach((tree) => {
+      // root could not be read
+      if (!tree.entry.stats) {
+        return;
+      }
+      const dev = tree.entry.stats.dev;
+      if (!devices.has(dev)) {
+        devices.set(dev, []);
+      }
+      devices.get(dev).push(tree);
+    });
+
+    for (const group of devices.values()) {
+      deleted.push(...await this._pressureDevice({ trees: group, dry }));
+      deleted.push(...await this._inodePressureDevice({ trees: group, dry }));
+    }
+    return deleted;
+  }
+
+  /**
+   * @param {{rule: ExpireRule, entry: ExpireEntry}[]} trees - all on the same device
+   * @param {boolean} dry
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _pressureDevice({ trees, dry }) {
+    const root = trees[0].entry.path;
+    let measured = await this._bytesToFree(root, dry);
+    if (measured.toFree <= 0) {
+      return [];
+    }
+    const deleted = await this._evictTrashFirst({
+      trees,
+      toFree: measured.toFree,
+      dry,
+      log: debug_pressure,
+      reason: 'pressure',
+      critical: measured.critical,
+      remeasure: async () => {
+        measured = await this._measureDisk(root);
+        return measured.toFree;
+      }
+    });
+    this._pressureEvicted({ root, measured, dry });
+    return deleted;
+  }
+
+  /**
+   * @param {{rule: ExpireRule, entry: ExpireEntry}[]} trees - all on the same device
+   * @param {boolean} dry
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _inodePressureDevice({ trees, dry }) {
+    const root = trees[0].entry.path;
+    const { toFree, critical } = await this._inodesToFree(root);
+    if (toFree <= 0) {
+      return [];
+    }
+    return this._evictTrashFirst({
+      trees,
+      toFree,
+      dry,
+      log: debug_inodes,
+      reason: 'inode-pressure',
+      count: true,
+      critical,
+      remeasure: async () => (await this._inodesToFree(root)).toFree
+    });
+  }
+
+  /**
+   * Pressure eviction: empties the trash first if allowed, then unlinks watched files
+   * as moving them to the trash would free nothing.
+   *
+   * Freed space is counted in allocated blocks, and hardlinked files are evicted only along with
+   * all their links. Once a batch is deleted, usage is measured again rather than trusted:
+   * eviction goes on while it is still over, and stops when deleting frees nothing measurable.
+   *
+   * @param {{rule: ExpireRule, entry: ExpireEntry}[]} trees - all on the same device
+   * @param {number} toFree - bytes, or files when `count` is set
+   * @param {boolean} dry
+   * @param {function} log
+   * @param {String} reason
+   * @param {boolean=} [count=false]
+   * @param {boolean=} [critical=false] - usage is over `criticalPressure`
+   * @param {function():Promise<number>} remeasure - what is left to free, measured on the device
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _evictTrashFirst({ trees, toFree, dry, log, reason, count = false, critical = false, remeasure }) {
+    const deleted = [];
+
+    const compare = createStrategy(this.pressureStrategy, this._now());
+
+    const phases = [];
+    const trash = trees.filter(t => t.rule === this._trashRule);
+    if (trash.length && this.trash.emptyOnPressure) {
+      phases.push(this._candidates(trash, compare));
+    }
+    const watched = trees.filter(t => t.rule !== this._trashRule);
+    // subtrees can opt out of pressure eviction, a group as soon as one of its members does
+    phases.push(this._candidates(watched, compare).filter(c => (c.members || [c]).every(m => c.rule.policy(m.path).pressure)));
+
+    const meter = createMeter(count);
+    const lists = withAllLinks(phases);
+    for (let i = 0; i < lists.length && toFree > 0; i++) {
+      const list = lists[i];
+      while (list.length && toFree > 0) {
+        const freed = meter.freed;
+        const evicted = await this._evict({
+          list,
+          toFree,
+          dry,
+          log,
+          reason,
+          count,
+          measure: c => meter.measure(c.stats),
+          quarantine: false,
+          critical
+        });
+        deleted.push(...evicted);
+
+        // dry runs can only trust the arithmetic
+        if (dry || !evicted.length) {
+          toFree -= meter.freed - freed;
+          continue;
+        }
+        const left = await remeasure();
+        if (left >= toFree) {
+          log(`deleting freed nothing measurable, stopping with ${count ? left : pretty_size(left)} left`);
+          return deleted;
+        }
+        toFree = left;
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * @param {String} root - any path on the device
+   * @return {Promise<{toFree: number, usage: number, critical: boolean}>} - bytes over `pressureLow`,
+   *         negative when under, usage of the disk and whether it is over `criticalPressure`
+   * @private
+   */
+  async _measureDisk(root) {
+    const disk = await this.backend.diskUsage(root);
+
+    const usage = 1 - (disk.available / disk.total);
+    this._metrics.diskUsage(root, usage);
+
+    const toFree = (disk.total - disk.available) - disk.total * this.pressureLow;
+    return { toFree, usage, critical: this._isCritical(usage) };
+  }
+
+  /**
+   * @param {String} root - any path on the device
+   * @param {boolean} dry - dry runs leave the pressure state alone
+   * @return {Promise<{toFree: number, usage: number, critical: boolean}>}
+   *         - bytes over `pressureLow` once usage reached `pressureHigh`, 0 otherwise,
+   *         usage of the disk and whether it is over `criticalPressure`
+   * @private
+   */
+  async _bytesToFree(root, dry) {
+    const measured = await this._measureDisk(root);
+    const { usage } = measured;
+
+    // once started, eviction goes on until usage is under the low watermark
+    const pressured = this._pressured.has(root);
+    if (!pressured && usage < this.pressureHigh) {
+      return { toFree: 0, usage, critical: false };
+    }
+
+    if (measured.toFree <= 0) {
+      if (pressured && !dry) {
+        this._pressured.delete(root);
+        this.emit('pressure-end', { path: root, usage });
+      }
+      return { toFree: 0, usage, critical: false };
+    }
+
+    if (!pressured && !dry) {
+      this._pressured.add(root);
+      this.emit('pressure-start', { path: root, usage });
+    }
+
+    debug_pressure(`disk usage of ${root} is ${(usage * 100).toFixed(2)}%`);
+    debug_pressure(`need to free ${pretty_size(measured.toFree)}`);
+
+    return measured;
+  }
+
+  /**
+   * Ends the pressure state of a device once usage measured after evicting is under `pressureLow`,
+   * or reports what could not be freed.
+   *
+   * @param {String} root
+   * @param {{toFree: number, usage: number}} measured - last measure of the device
+   * @param {boolean} dry
+   * @private
+   */
+  _pressureEvicted({ root, measured, dry }) {
+    if (dry) {
+      return;
+    }
+    const { toFree, usage } = measured;
+    if (toFree <= 0) {
+      this._pressured.delete(root);
+      this.emit('pressure-end', { path: root, usage });
+      return;
+    }
+    debug_pressure(`could not free ${pretty_size(toFree)} of ${root}, files left are protected or still in use`);
+    this.emit('pressure-unsatisfied', { path: root, usage, toFree });
+  }
+
+  /**
+   * @param {number} usage - of the disk or of its inodes
+   * @return {boolean} - over `criticalPressure`
+   * @private
+   */
+  _isCritical(usage) {
+    return this.criticalPressure !== null && usage >= this.criticalPressure;
+  }
+
+  /**
+   * @param {String} root - any path on the device
+   * @return {Promise<{toFree: number, critical: boolean}>} - inodes over `inodePressure`, 0 if under,
+   *         and whether usage is over `criticalPressure`
+   * @private
+   */
+  async _inodesToFree(root) {
+    if (this.inodePressure >= 1) {
+      return { toFree: 0, critical: false };
+    }
+
+    const fsStats = await this.backend.inodeUsage(root);
+    if (!fsStats) {
+      if (!this._inodeUsageMissing) {
+        this._inodeUsageMissing = true;
+        this.logger.warn(`inodePressure is ignored: the backend cannot read inode usage of ${root}` +
+          ' (fs.statfs needs node >= 18.15)');
+      }
+      return { toFree: 0, critical: false };
+    }
+
+    // some filesystems (btrfs, network mounts) don't report inodes
+    if (!fsStats.files) {
+      debug_inodes(`filesystem of ${root} doesn't report inode usage`);
+      return { toFree: 0, critical: false };
+    }
+
+    const used = fsStats.files - fsStats.ffree;
+    const usagePerc = used / fsStats.files;
+    this._metrics.inodeUsage(root, usagePerc);
+
+    if (usagePerc < this.inodePressure) {
+      return { toFree: 0, critical: false };
+    }
+
+    const toFree = Math.ceil(used - fsStats.files * this.inodePressure);
+
+    debug_inodes(`inode usage of ${root} is ${(usagePerc * 100).toFixed(2)}%`);
+    debug_inodes(`need to free ${toFree} inodes`);
+
+    return { toFree, critical: this._isCritical(usagePerc) };
+  }
+
+  /**
+   * Files that can be evicted from the trees, sorted newest to oldest.
+   * Grouped files make a single candidate standing for all its `members`.
+   *
+   * @param {{rule: ExpireRule, entry: ExpireEntry}[]} trees
+   * @param {function(Object, Object):number=} compare - eviction order, last evicted files first then
+   * @param {boolean=} [grouped=true] - false for a candidate per file, even grouped
+   * @return {{rule: ExpireRule, entry: ExpireEntry, path: String, stats: Stats, time: number, members: Object[]=}[]}
+   * @private
+   */
+  _candidates(trees, compare = null, grouped = true) {
+    const list = [];
+    trees.forEach(({ rule, entry }) => {
+      const files = [];
+      entry.traverse((e) => {
+        if (!e.isDir && this._ruleFor(e.path, e.stats) === rule) {
+          files.push({ rule, entry: e, path: e.path, stats: e.stats, time: e.getTime(rule.policy(e.path).timeType).getTime() });
+        }
+      });
+      list.push(...(grouped ? this._unitCandidates(rule, files) : files));
+    });
+
+    // newest to oldest, files are evicted from the end
+    list.sort(compare ? (a, b) => compare(b, a) : (a, b) => b.time - a.time);
+    return list;
+  }
+  /**
+   * Replaces the candidates of a group by one for the group, with the stats of the member giving
+   * the group its time but the size of all its members, so strategies weigh the whole group.
+   *
+   * @param {ExpireRule} rule
+   * @param {{rule: ExpireRule, entry: ExpireEntry, path: String, stats: Stats, time: number}[]} files
+   * @return {Object[]}
+   * @private
+   */
+  _unitCandidates(rule, files) {
+    const units = this._units(rule, files);
+    if (!units.size) {
+      return files;
+    }
+
+    const list = [];
+    /** @type {Map<Object, Object[]>} */
+    const members = new Map;
+    files.forEach((c) => {
+      const unit = units.get(c.entry);
+      if (!unit) {
+        list.push(c);
+        return;
+      }
+      if (!members.has(unit)) {
+        members.set(unit, []);
+      }
+      members.get(unit).push(c);
+    });
+
+    members.forEach((group, unit) => {
+      const first = group.find(c => c.time === unit.time);
+      const stats = Object.create(first.stats);
+      stats.size = group.reduce((sum, c) => sum + c.stats.size, 0);
+      list.push(Object.assign({}, first, { stats, group: unit.group, members: group }));
+    });
+    return list;
+  }
+
+  /**
+   * Candidates of a rule's tree the rule matches, a group as soon as one of its members is matched.
+   *
+   * @param {ExpireRule} rule
+   * @param {ExpireEntry} entry - tree of the rule
+   * @return {Object[]} - sorted newest to oldest, see _candidates()
+   * @private
+   */
+  _matchingCandidates(rule, entry) {
+    return this._candidates([{ rule, entry }])
+      .filter(c => (c.members || [c]).some(m => rule.matches(m.entry.path, m.entry.stats)));
+  }
+
+
+  /**
+   * Deletes files from the end of the list (oldest first) until `toFree` bytes are gone,
+   * or until `toFree` files are gone when `count` is set.
+   * Files younger than their rule's `minimumAge` are kept, unless `critical`.
+   *
+   * @param {{rule: ExpireRule, entry: ExpireEntry, members: Object[]=}[]} list - sorted newest to oldest, consumed,
+   *        a candidate with `members` deletes them all
+   * @param {number} toFree - bytes, or files when `count` is set
+   * @param {boolean} dry
+   * @param {function} log
+   * @param {String} reason
+   * @param {boolean=} [count=false]
+   * @param {function({rule: ExpireRule, entry: ExpireEntry, stats: Stats}):number=} measure
+   *        - what deleting a file frees, its size or 1 when `count` is set by default
+   * @param {function({rule: ExpireRule, entry: ExpireEntry}):Promise<ExpireEntry[]>=} onDeleted
+   *        - extra cleanup after each deletion, returns other deleted entries
+   * @param {boolean=} [quarantine=true] - false to unlink even with a trash or an archive
+   * @param {boolean=} [critical=false] - pressure eviction over `criticalPressure`, `minimumAge` is ignored
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _evict({
+    list,
+    toFree,
+    dry,
+    log,
+    reason,
+    count = false,
+    measure = c => count ? 1 : c.entry.size,
+    onDeleted = null,
+    quarantine = true,
+    critical = false
+  }) {
+    const deleted = [];
+
+    while (list.length && toFree > 0) {
+      const candidate = list.pop();
+      const { rule, entry: item } = candidate;
+      // a group goes at once, aged like its expiry
+      const members = candidate.members || [candidate];
+      const age = candidate.members ? this._now() - candidate.time : rule.age(item.stats, item.path);
+
+      if (!critical && age < rule.policy(item.path).minimumAge) {
+        if (this._skipping) {
+          members.forEach(c => this._skip({ entry: c.entry, rule, reason: 'minimum-age' }));
+        }
+        continue;
+      }
+
+      let freed = 0;
+      for (const member of members) {
+        freed += measure(member);
+        await this._deleteEntry(member.entry, rule, {
+          reason,
+          dry,
+          keepEmptyParent: !this.removeCleanedDirs,
+          quarantine,
+          critical
+        });
+        deleted.push(member.entry);
+        if (onDeleted) {
+          deleted.push(...await onDeleted(member));
+        }
+      }
+      toFree -= freed;
+      const group = candidate.members ? ` (group ${candidate.group}, ${members.length} files)` : '';
+      log(
+        count ?
+          `removed ${item.path}${group} | left ${toFree} files` :
+          `freed ${pretty_size(freed)}${group} | left ${pretty_size(toFree)}`
+      );
+    }
+    return deleted;
+  }
+
+  /**
+   * @param {ExpireEntry} entry
+   * @param {ExpireRule} rule
+   * @param {boolean} dry
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _maxFiles({ entry, rule, dry }) {
+    if (rule.maxFiles === Infinity) {
+      return [];
+    }
+
+    const list = this._matchingCandidates(rule, entry);
+
+    /** @type {Map<ExpireEntry|null, {rule: ExpireRule, entry: ExpireEntry}[]>} */
+    const groups = new Map;
+    if (rule.maxFilesPerDir) {
+      // list is sorted, so each group stays sorted
+      list.forEach((c) => {
+        if (!groups.has(c.entry.parent)) {
+          groups.set(c.entry.parent, []);
+        }
+        groups.get(c.entry.parent).push(c);
+      });
+    } else {
+      groups.set(null, list);
+    }
+
+    const deleted = [];
+    for (const [dir, group] of groups) {
+      if (group.length <= rule.maxFiles) {
+        continue;
+      }
+
+      const toFree = group.length - rule.maxFiles;
+      debug_files(`${dir ? dir.path : rule.folder} has ${group.length} files of ${rule.maxFiles}`);
+      debug_files(`need to remove ${toFree} files`);
+
+      // a group counts as one file
+      const counted = new Set(group.map(c => c.members ? c.members[0] : c));
+      deleted.push(...await this._evict({
+        list: group,
+        toFree,
+        dry,
+        log: debug_files,
+        reason: 'max-files',
+        count: true,
+        measure: c => counted.has(c) ? 1 : 0
+      }));
+    }
+    return deleted;
+  }
+
+  /**
+   * @param {ExpireEntry} entry
+   * @param {ExpireRule} rule
+   * @param {boolean} dry
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _retention({ entry, rule, dry }) {
+    if (!rule.retention) {
+      return [];
+    }
+
+    const list = this._matchingCandidates(rule, entry)
+      .map(c => ({ filename: c.path, stats: c.stats, entry: c.entry, members: c.members }));
+
+    const deleted = [];
+    const expired = this._notRetained(rule, list);
+    for (let i = 0; i < expired.length; i++) {
+      // a group goes whole
+      const members = expired[i].members || [expired[i]];
+      for (const { entry: e } of members) {
+        debug_retention('deleting file', e.path);
+        await this._deleteEntry(e, rule, {
+          reason: 'retention',
+          keepEmptyParent: !this.removeCleanedDirs,
+          dry,
+          removeRoot: this.removeRoot
+        });
+        deleted.push(e);
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * Files of the list the rule's retention doesn't keep. Files younger than `minimumAge` are always kept.
+   *
+   * @param {ExpireRule} rule
+   * @param {{filename: String, stats: Stats, members: Object[]=}[]} list - matching files of the rule,
+   *        an item with `members` stands for a whole group
+   * @param {boolean=} [report=true] - emit skip events for the kept files
+   * @return {{filename: String, stats: Stats}[]} - items of the list
+   * @private
+   */
+  _notRetained(rule, list, { report = true } = {}) {
+    const items = list.map(file => ({
+      file,
+      time: file.stats[rule.policy(file.filename).timeType].getTime(),
+      group: rule.retentionGroup(file.filename, file.stats)
+    }));
+    const kept = retain(items, rule.retention);
+    debug_retention(`${rule.folder} keeps ${kept.size} of ${items.length} files`);
+
+    return items
+      .filter((item) => {
+        const { filename, stats } = item.file;
+        const reason = kept.has(item) ? 'retention' :
+          rule.age(stats, filename) < rule.policy(filename).minimumAge ? 'minimum-age' :
+            null;
+        if (reason && report && this._skipping) {
+          if (item.file.members) {
+            item.file.members.forEach(m => this._skip({ entry: m.entry, rule, reason }));
+          } else {
+            this._skip({ entry: item.file.entry || this._entry(filename, stats), rule, reason });
+          }
+        }
+        return !reason;
+      })
+      .map(item => item.file);
+  }
+
+  /**
+   * @param {ExpireEntry} entry
+   * @param {ExpireRule} rule
+   * @param {boolean} dry
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _quota({ entry, rule, dry }) {
+    if (rule.maxSize === Infinity) {
+      return [];
+    }
+
+    const size = entry.totalSize();
+    if (size <= rule.maxSize) {
+      return [];
+    }
+
+    const toFree = size - rule.maxSize;
+    debug_quota(`size of ${rule.folder} is ${pretty_size(size)} of ${pretty_size(rule.maxSize)}`);
+    debug_quota(`need to free ${pretty_size(toFree)}`);
+
+    return this._evict({ list: this._candidates([{ rule, entry }]), toFree, dry, log: debug_quota, reason: 'max-size' });
+  }
+
+  /**
+   * Clean cycle that walks the folders instead of building the trees.
+   * Limits and pressure walk again, keeping only the files they are going to evict.
+   *
+   * @param {boolean} dry
+   * @param {boolean=} [pressureOnly=false]
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _cleanStream({ dry, pressureOnly = false }) {
+    const deleted = [];
+    /** @type {{rule: ExpireRule, stats: Stats, usage: Object}[]} */
+    const roots = [];
+
+    // dry runs and archiving leave files in place until the end, later walks must not pick them again
+    const gone = dry || this._archiveRule ? new Set : null;
+    const track = (list) => {
+      if (gone) {
+        list.forEach(e => gone.add(e.path));
+      }
+      return list;
+    };
+
+    const rules = this._allRules();
+    for (let i = 0; i < rules.length; i++) {
+      const rule = rules[i];
+      let stats;
+      try {
+        stats = await this._stat(rule.folder);
+      } catch (e) {
+        this.logger.warn(`error reading stats for ${rule.folder}: ${e.message || e}`);
+        this._onEntryError('scan', rule.folder, e, null);
+        continue;
+      }
+      if (pressureOnly) {
+        roots.push({ rule, stats, usage: null });
+        continue;
+      }
+      const expired = [];
+      const usage = await this._streamExpire({ rule, dry, deleted: expired });
+      deleted.push(...track(expired));
+      roots.push({ rule, stats, usage });
+    }
+
+    for (let i = 0; i < roots.length && !pressureOnly; i++) {
+      const { rule, usage } = roots[i];
+      deleted.push(...track(await this._streamRetention({ rule, usage, dry, gone })));
+      const evicted = track(await this._streamMaxFiles({ rule, usage, dry, gone }));
+      usage.size -= sumSizes(evicted);
+      deleted.push(...evicted);
+      deleted.push(...track(await this._streamQuota({ rule, usage, dry, gone })));
+    }
+    this._checkAborted();
+    deleted.push(...await this._commitArchive());
+
+    /** @type {Map<number, ExpireRule[]>} */
+    const devices = new Map;
+    roots.forEach(({ rule, stats }) => {
+      if (!devices.has(stats.dev)) {
+        devices.set(stats.dev, []);
+      }
+      devices.get(stats.dev).push(rule);
+    });
+
+    for (const group of devices.values()) {
+      const root = group[0].folder;
+      let measured = await this._bytesToFree(root, dry);
+      if (measured.toFree > 0) {
+        deleted.push(...await this._streamPressure({
+          rules: group,
+          toFree: measured.toFree,
+          dry,
+          gone,
+          log: debug_pressure,
+          reason: 'pressure',
+          critical: measured.critical,
+          remeasure: async () => {
+            measured = await this._measureDisk(root);
+            return measured.toFree;
+          }
+        }));
+        this._pressureEvicted({ root, measured, dry });
+      }
+
+      const inodes = await this._inodesToFree(root);
+      if (inodes.toFree > 0) {
+        deleted.push(...await this._streamPressure({
+          rules: group,
+          toFree: inodes.toFree,
+          dry,
+          gone,
+          log: debug_inodes,
+          reason: 'inode-pressure',
+          count: true,
+          critical: inodes.critical,
+          remeasure: async () => (await this._inodesToFree(root)).toFree
+        }));
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * Stream version of `_evictTrashFirst`, each batch walks the trees again.
+   *
+   * @param {ExpireRule[]} rules - all on the same device
+   * @param {number} toFree - bytes, or files when `count` is set
+   * @param {boolean} dry
+   * @param {Set<String>|null} gone - paths already deleted but still on disk, updated
+   * @param {function} log
+   * @param {String} reason
+   * @param {boolean=} [count=false]
+   * @param {boolean=} [critical=false] - usage is over `criticalPressure`
+   * @param {function():Promise<number>} remeasure - what is left to free, measured on the device
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _streamPressure({ rules, toFree, dry, gone, log, reason, count = false, critical = false, remeasure }) {
+    const deleted = [];
+
+    const phases = [];
+    if (rules.indexOf(this._trashRule) !== -1 && this.trash.emptyOnPressure) {
+      phases.push([this._trashRule]);
+    }
+    phases.push(rules.filter(rule => rule !== this._trashRule));
+
+    const compare = createStrategy(this.pressureStrategy, this._now());
+    const meter = createMeter(count);
+    // links of an inode share its blocks
+    const weight = c => (count ? 1 : allocated(c.stats)) / Math.max(c.stats.nlink, 1);
+    for (let i = 0; i < phases.length && toFree > 0;) {
+      const set = new OldestSet({ target: toFree, weight, compare });
+      // hardlinked files are kept aside until all their links are found
+      const linked = [];
+      await this._streamCandidates({
+        rules: phases[i],
+        pick: (filename, stats) => stats.nlink > 1 ? { add: c => linked.push(c) } : set,
+        gone,
+        critical
+      });
+      withAllLinks([linked])[0].forEach(c => set.add(c));
+
+      const freed = meter.freed;
+      const evicted = await this._streamEvict({
+        sets: [set],
+        toFree,
+        dry,
+        log,
+        reason,
+        count,
+        measure: c => meter.measure(c.stats),
+        compare,
+        quarantine: false,
+        critical
+      });
+      if (gone) {
+        evicted.forEach(e => gone.add(e.path));
+      }
+      deleted.push(...evicted);
+
+      // dry runs can only trust the arithmetic, and move on to the next phase
+      if (dry || !evicted.length) {
+        toFree -= meter.freed - freed;
+        i++;
+        continue;
+      }
+      const left = await remeasure();
+      if (left >= toFree) {
+        log(`deleting freed nothing measurable, stopping with ${count ? left : pretty_size(left)} left`);
+        break;
+      }
+      toFree = left;
+    }
+    return deleted;
+  }
+
+  /**
+   * Expires files while walking and measures what is left for the limits.
+   *
+   * @param {ExpireRule} rule
+   * @param {boolean} dry
+   * @param {ExpireEntry[]} deleted - filled with deleted entries
+   * @return {Promise<{size: number, files: number, dirs: Map<string, number>}>}
+   * @private
+   */
+  async _streamExpire({ rule, dry, deleted }) {
+    // size of the whole tree, matching files of this rule for maxFiles
+    const usage = { size: 0, files: 0, dirs: new Map };
+    const ownsDir = dirname => this._ruleForDir(dirname) === rule;
+
+    await walk(rule.folder, {
+      limit: this._limit,
+      statThrottle: this._throttles.stats,
+      backend: this.backend,
+      ignore: rule.ignore,
+      lockFile: this._lockFile,
+      aborted: () => this._isAborted(),
+      onError: (filename, e) => {
+        this.logger.warn(`error reading ${filename}: ${e.message || e}`);
+        this._onEntryError('scan', filename, e, null);
+      },
+      onFile: async (filename, stats) => {
+        const owner = this._ruleFor(filename, stats);
+        if (this._cycle) {
+          this._cycle.scanned++;
+        }
+
+        if (owner === rule && rule.isExpired(filename, stats)) {
+          this.debug_expire('deleting file', filename);
+          deleted.push(await this._streamDelete({ rule, filename, stats, reason: 'expire', dry }));
+          return true;
+        }
+
+        this.debug_expire('keeping file', filename);
+        usage.size += stats.size;
+        if (owner === rule && rule.matches(filename, stats)) {
+          if (this._skipping) {
+            this._skip({ entry: this._entry(filename, stats), rule, reason: 'not-expired' });
+          }
+          usage.files++;
+          if (rule.maxFilesPerDir) {
+            const dirname = path.dirname(filename);
+            usage.dirs.set(dirname, (usage.dirs.get(dirname) || 0) + 1);
+          }
+        }
+        return false;
+      },
+      onDir: async (dirname, { entries, remaining }) => {
+        if (remaining !== 0 || !ownsDir(dirname)) {
+          return false;
+        }
+        if (dirname === rule.folder && !this.removeRoot) {
+          return false;
+        }
+
+        // archived files are still there, their dirs go once the bundle is written
+        if (entries !== 0 && this._archiveRule && !dry) {
+          return false;
+        }
+
+        // empty from the start, or emptied by this cycle
+        const empty = entries === 0 ? this.removeEmptyDirs : this.removeCleanedDirs;
+        if (!empty) {
+          return false;
+        }
+
+        this.debug_expire('deleting empty dir', dirname);
+        const entry = await this._streamDelete({ rule, filename: dirname, stats: null, reason: 'empty-dir', dry });
+        if (!entry) {
+          return false;
+        }
+        deleted.push(entry);
+        return true;
+      }
+    });
+
+    return usage;
+  }
+
+  /**
+   * Retention needs to see every matching file of the rule, they are all kept in memory.
+   *
+   * @param {ExpireRule} rule
+   * @param {{size: number, files: number, dirs: Map<string, number>}} usage - updated
+   * @param {boolean} dry
+   * @param {Set<String>|null} gone - paths already deleted but still on disk
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _streamRetention({ rule, usage, dry, gone }) {
+    if (!rule.retention) {
+      return [];
+    }
+
+    const list = [];
+    await walk(rule.folder, {
+      limit: this._limit,
+      statThrottle: this._throttles.stats,
+      backend: this.backend,
+      ignore: rule.ignore,
+      lockFile: this._lockFile,
+      aborted: () => this._isAborted(),
+      onFile: (filename, stats) => {
+        if (gone && gone.has(filename)) {
+          return false;
+        }
+        if (this._ruleFor(filename, stats) === rule && rule.matches(filename, stats)) {
+          list.push({ filename, stats });
+        }
+        return false;
+      }
+    });
+
+    const deleted = [];
+    const expired = this._notRetained(rule, list);
+    for (let i = 0; i < expired.length; i++) {
+      const { filename, stats } = expired[i];
+      debug_retention('deleting file', filename);
+      deleted.push(await this._streamDelete({ rule, filename, stats, reason: 'retention', dry }));
+      deleted.push(...await this._removeEmptyParents({ rule, filename, dry }));
+
+      usage.size -= stats.size;
+      usage.files--;
+      const dirname = path.dirname(filename);
+      if (usage.dirs.has(dirname)) {
+        usage.dirs.set(dirname, usage.dirs.get(dirname) - 1);
+      }
+    }
+    return deleted;
+  }
+
+  /**
+   * @param {ExpireRule} rule
+   * @param {{files: number, dirs: Map<string, number>}} usage
+   * @param {boolean} dry
+   * @param {Set<String>|null} gone - paths already deleted but still on disk
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _streamMaxFiles({ rule, usage, dry, gone }) {
+    if (rule.maxFiles === Infinity) {
+      return [];
+    }
+
+    /** @type {Map<string|null, OldestSet>} */
+    const sets = new Map;
+    let toFree = 0;
+    const counts = rule.maxFilesPerDir ? usage.dirs : new Map([[null, usage.files]]);
+    counts.forEach((files, dirname) => {
+      if (files <= rule.maxFiles) {
+        return;
+      }
+      debug_files(`${dirname || rule.folder} has ${files} files of ${rule.maxFiles}`);
+      toFree += files - rule.maxFiles;
+      sets.set(dirname, new OldestSet({ target: files - rule.maxFiles, weight: () => 1 }));
+    });
+
+    if (!sets.size) {
+      return [];
+    }
+    debug_files(`need to remove ${toFree} files`);
+
+    await this._streamCandidates({
+      rules: [rule],
+      gone,
+      pick: (filename, stats) => {
+        if (!rule.matches(filename, stats)) {
+          return null;
+        }
+        return sets.get(rule.maxFilesPerDir ? path.dirname(filename) : null) || null;
+      }
+    });
+
     const deleted = [];
+    for (const set of sets.values()) {
+      deleted.push(...await this._streamEvict({
+        sets: [set],
+        toFree: set.size,
+        dry,
+        log: debug_files,
+        reason: 'max-files',
+        count: true
+      }));
+    }
+    return deleted;
+  }
+
+  /**
+   * @param {ExpireRule} rule
+   * @param {{size: number}} usage
+   * @param {boolean} dry
+   * @param {Set<String>|null} gone - paths already deleted but still on disk
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _streamQuota({ rule, usage, dry, gone }) {
+    if (rule.maxSize === Infinity || usage.size <= rule.maxSize) {
+      return [];
+    }
 
-    const list = entry.list();
-    const disk = await (
-      this._async ?
-        diskusage.check(entry.path) :
-        diskusage.checkSync(entry.path)
-    );
+    const toFree = usage.size - rule.maxSize;
+    debug_quota(`size of ${rule.folder} is ${pretty_size(usage.size)} of ${pretty_size(rule.maxSize)}`);
+    debug_quota(`need to free ${pretty_size(toFree)}`);
 
-    const usagePerc = 1 - (disk.available / disk.total);
+    const set = new OldestSet({ target: toFree, weight: c => c.stats.size });
+    await this._streamCandidates({ rules: [rule], pick: () => set, gone });
+    return this._streamEvict({ sets: [set], toFree, dry, log: debug_quota, reason: 'max-size' });
+  }
 
-    if (usagePerc < this.pressure) {
-      return [];
+  /**
+   * Walks the rules' folders and offers every file old enough to be evicted
+   * to the set `pick` returns for it.
+   *
+   * @param {ExpireRule[]} rules
+   * @param {function(String, Stats):OldestSet|null} pick
+   * @param {Set<String>|null} gone - paths already deleted but still on disk
+   * @param {boolean=} [critical=false] - offer files younger than `minimumAge` too
+   * @return {Promise<void>}
+   * @private
+   */
+  async _streamCandidates({ rules, pick, gone, critical = false }) {
+    for (let i = 0; i < rules.length; i++) {
+      const rule = rules[i];
+      await walk(rule.folder, {
+        limit: this._limit,
+        statThrottle: this._throttles.stats,
+        backend: this.backend,
+        ignore: rule.ignore,
+        lockFile: this._lockFile,
+        aborted: () => this._isAborted(),
+        onFile: (filename, stats) => {
+          if (gone && gone.has(filename)) {
+            return false;
+          }
+          const policy = rule.policy(filename);
+          if (this._ruleFor(filename, stats) !== rule || (!critical && rule.age(stats, filename) < policy.minimumAge)) {
+            return false;
+          }
+          const set = pick(filename, stats);
+          if (set) {
+            set.add({ rule, path: filename, stats, time: stats[policy.timeType].getTime() });
+          }
+          return false;
+        }
+      });
     }
+  }
 
-    const shouldBe = disk.total * this.pressure;
-    let toFree = (disk.total - disk.available) - shouldBe;
+  /**
+   * @param {OldestSet[]} sets
+   * @param {number} toFree
+   * @param {boolean} dry
+   * @param {function} log
+   * @param {String} reason
+   * @param {boolean=} count
+   * @param {function(Object):number=} measure - see `_evict`
+   * @param {function(Object, Object):number=} compare - eviction order, oldest first by default
+   * @param {boolean=} [quarantine=true]
+   * @param {boolean=} [critical=false]
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  _streamEvict({ sets, toFree, dry, log, reason, count = false, measure, compare = null, quarantine = true, critical = false }) {
+    const list = [];
+    sets.forEach(set => set.values().forEach(({ rule, path: filename, stats, time }) => list.push({
+      rule,
+      path: filename,
+      stats,
+      time,
+      entry: this._entry(filename, stats)
+    })));
+    list.sort(compare ? (a, b) => compare(b, a) : (a, b) => b.time - a.time);
+
+    return this._evict({
+      list,
+      toFree,
+      dry,
+      log,
+      reason,
+      count,
+      measure,
+      quarantine,
+      critical,
+      onDeleted: ({ rule, entry }) => this._removeEmptyParents({ rule, filename: entry.path, dry })
+    });
+  }
 
-    debug_pressure(`disk usage is ${(usagePerc * 100).toFixed(2)}%`);
-    debug_pressure(`need to free ${pretty_size(toFree)}`);
+  /**
+   * @param {ExpireRule} rule
+   * @param {String} filename
+   * @param {Stats|null} stats - null for dirs
+   * @param {String} reason
+   * @param {boolean} dry
+   * @return {Promise<ExpireEntry|null>} - null if a dir could not be read
+   * @private
+   */
+  async _streamDelete({ rule, filename, stats, reason, dry }) {
+    if (!stats) {
+      try {
+        stats = await this._stat(filename);
+      } catch (e) {
+        this.logger.warn(`error reading stats for ${filename}: ${e.message || e}`);
+        this._onEntryError('scan', filename, e, null);
+        return null;
+      }
+    }
 
-    // newest to oldest
-    list.sort((a, b) => b.getTime(this.timeType) - a.getTime(this.timeType));
+    const entry = this._entry(filename, stats);
+    // entry has no parent, callers already checked whether the dir may go
+    await this._deleteEntry(entry, rule, { reason, dry, keepEmptyParent: false, removeRoot: true });
+    return entry;
+  }
 
-    while (list.length && toFree > 0) {
-      const item = list.pop();
-      if (item.isDir) {
-        continue;
+  /**
+   * Removes dirs left empty by a deletion done outside of the trees, up to the rule's folder.
+   *
+   * @param {ExpireRule} rule
+   * @param {String} filename - evicted file
+   * @param {boolean} dry
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _removeEmptyParents({ rule, filename, dry }) {
+    const removed = [];
+    // emptiness can't be known without deleting for real
+    if (dry || !this.removeCleanedDirs) {
+      return removed;
+    }
+
+    let dirname = path.dirname(filename);
+    while (rule.contains(dirname) && (dirname !== rule.folder || this.removeRoot)) {
+      let stats;
+      try {
+        stats = await this._stat(dirname);
+        // not throttled, most attempts fail on a dir that isn't empty
+        await this._limit(() => this.backend.removeDir(dirname));
+      } catch (e) {
+        // ENOTEMPTY, or already gone
+        break;
       }
+      debug_entry('deleting entry', dirname);
+      const entry = this._entry(dirname, stats);
+      this._record({ entry, rule, reason: 'empty-dir', action: 'rmdir', dry });
+      removed.push(entry);
+      dirname = path.dirname(dirname);
+    }
+    return removed;
+  }
+
+  /**
+   * Runs a clean cycle once the previous ones have ended, cycles never overlap.
+   *
+   * @param {boolean=}dry
+   * @param {{aborted: boolean}=} signal - aborts the cycle at its next safe point, between two deletions
+   * @param {boolean=} [pressureOnly=false] - only evict files of the devices under pressure
+   * @return {Promise<ExpireEntry[]>} - rejects with an AbortError once aborted
+   */
+  clean({ dry = this.dry, signal = null, pressureOnly = false } = {}) {
+    return this._enqueue(
+      { dry, signal },
+      () => this.stream ? this._cleanStream({ dry, pressureOnly }) : this._cleanTrees({ dry, pressureOnly })
+    );
+  }
+
+  /**
+   * Lists what a real clean cycle would delete, without deleting anything.
+   *
+   * @param {{aborted: boolean}=} signal
+   * @return {Promise<{version: number, createdAt: String, items: Object[], totals: Object}>} - serializable,
+   *         items are `{path, type, reason, description, action, rule, size, timeType, time, mtime, expiredBy}`
+   */
+  async plan({ signal = null } = {}) {
+    const createdAt = new Date().toISOString();
+    const items = [];
+    await this._enqueue(
+      { dry: true, signal, plan: items },
+      () => this.stream ? this._cleanStream({ dry: true }) : this._cleanTrees({ dry: true })
+    );
+    return { version: 1, createdAt, items, totals: totals(items) };
+  }
+
+  /**
+   * Deletes the items of a plan that still qualify: files unchanged since the plan, still owned by the same rule,
+   * still expired or old enough for the other reasons, and dirs still empty.
+   *
+   * @param {Object} plan - from plan(), possibly serialized
+   * @param {{aborted: boolean}=} signal
+   * @return {Promise<{deleted: ExpireEntry[], skipped: {item: Object, cause: String}[]}>} - cause is missing,
+   *         changed, not-owned, excluded, not-expired, minimum-age, no-pressure, under-limit, retained, not-empty,
+   *         error, or locked for every item when another process holds the lock
+   */
+  async apply(plan, { signal = null } = {}) {
+    validatePlan(plan);
+    const skipped = [];
+    const onLocked = () => plan.items.forEach(item => skipped.push({ item, cause: 'locked' }));
+    const deleted = await this._enqueue({ dry: false, signal, onLocked }, () => this._applyPlan(plan, skipped));
+    return { deleted, skipped };
+  }
+
+  /**
+   * @param {Object} plan
+   * @param {{item: Object, cause: String}[]} skipped
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _applyPlan(plan, skipped) {
+    const depth = item => item.path.split(path.sep).length;
+    // dirs once their files are gone, deepest first
+    const items = plan.items.filter(item => item.type === 'file').concat(
+      plan.items.filter(item => item.type === 'dir').sort((a, b) => depth(b) - depth(a))
+    );
 
-      const age = Date.now() - item.stats[this.timeType].getTime();
-      if (age < this.minimumAge) {
+    const deleted = [];
+    /** @type {Map<String, Object>} limits measured by this apply, counted down as items go */
+    const limits = new Map;
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      const verified = await this._verifyPlanItem(item);
+      const { rule, stats } = verified;
+      const limit = verified.cause ? null : await this._verifyPlanLimit(item, rule, stats, limits);
+      const cause = verified.cause || limit.cause;
+      if (cause) {
+        debug_expire(`skipping planned ${item.path}: ${cause}`);
+        skipped.push({ item, cause });
         continue;
       }
 
-      toFree -= item.size;
-      await item.delete({ dry, keepEmptyParent: !this.removeCleanedDirs });
-      deleted.push(item);
-      debug_pressure(`freed ${pretty_size(item.size)} | left ${pretty_size(toFree)}`);
+      const entry = this._entry(item.path, stats);
+      // entry has no parent, _verifyPlanItem already checked whether the dir may go
+      const removed = await this._deleteEntry(entry, rule, {
+        reason: item.reason,
+        dry: false,
+        keepEmptyParent: false,
+        removeRoot: true,
+        quarantine: item.action !== 'unlink'
+      });
+      if (removed) {
+        limit.charge();
+        deleted.push(entry);
+      } else {
+        skipped.push({ item, cause: 'error' });
+      }
     }
+
+    this._checkAborted();
+    deleted.push(...await this._commitArchive());
     return deleted;
   }
 
   /**
-   * @param {boolean=}dry
+   * Checks that the limit a planned file was evicted for is still exceeded. Limits are measured
+   * when the first item needing them is verified, then counted down as planned items are deleted,
+   * the members of a group are decided on the first one.
+   *
+   * @param {Object} item - planned file deletion, verified
+   * @param {ExpireRule} rule
+   * @param {Stats} stats - current
+   * @param {Map<String, Object>} limits - state shared by the items of the apply
+   * @return {Promise<{cause: String|null, charge: function():void}>} - `charge` once the item is deleted
+   * @private
+   */
+  async _verifyPlanLimit(item, rule, stats, limits) {
+    const once = async (key, measure) => {
+      if (!limits.has(key)) {
+        limits.set(key, await measure());
+      }
+      return limits.get(key);
+    };
+    // current tree of the rule, listed once, after the items verified before it were deleted
+    const tree = () => once(`tree:${rule.folder}`, async () => {
+      const entry = await this._listFolder(rule.folder, rule.ignore);
+      rule.setOverrides(this._overridesOf(entry));
+      return entry;
+    });
+    // groups count as one file
+    const matching = async () => this._matchingCandidates(rule, await tree());
+    const countDown = async (key, cause, measure, weigh) => {
+      const state = await once(key, async () => ({
+        left: await measure(),
+        // hardlinks free their inode with the last link
+        meter: createMeter(item.reason === 'inode-pressure')
+      }));
+      if (state.left <= 0) {
+        return { cause, charge: noop };
+      }
+      return { cause: null, charge: () => { state.left -= weigh(state.meter); } };
+    };
+
+    const verify = () => {
+      switch (item.reason) {
+        case 'pressure':
+          return countDown(`pressure:${stats.dev}`, 'no-pressure',
+            async () => (await this._bytesToFree(rule.folder, true)).toFree, meter => meter.measure(stats));
+        case 'inode-pressure':
+          return countDown(`inode-pressure:${stats.dev}`, 'no-pressure',
+            async () => (await this._inodesToFree(rule.folder)).toFree, meter => meter.measure(stats));
+        case 'max-size':
+          return countDown(`max-size:${rule.folder}`, 'under-limit',
+            async () => (await tree()).totalSize() - rule.maxSize, () => stats.size);
+        case 'max-files': {
+          const dirname = rule.maxFilesPerDir ? path.dirname(item.path) : null;
+          return countDown(`max-files:${dirname || rule.folder}`, 'under-limit', async () => {
+            const files = (await matching()).filter(c => !dirname || path.dirname(c.path) === dirname);
+            return files.length - rule.maxFiles;
+          }, () => 1);
+        }
+        case 'retention':
+          return once(`retention:${rule.folder}`, async () => {
+            const list = (await matching()).map(c => ({ filename: c.path, stats: c.stats, entry: c.entry, members: c.members }));
+            const expired = new Set;
+            this._notRetained(rule, list, { report: false })
+              .forEach(file => (file.members || [file]).forEach(m => expired.add(m.entry.path)));
+            return expired;
+          }).then(expired => ({ cause: expired.has(item.path) ? null : 'retained', charge: noop }));
+        default:
+          return Promise.resolve({ cause: null, charge: noop });
+      }
+    };
+
+    const verified = await verify();
+    if (item.group === undefined) {
+      return verified;
+    }
+    const decided = await once(`group:${item.reason}:${item.rule}:${item.group}`, async () => ({ cause: verified.cause }));
+    if (decided.cause) {
+      return { cause: decided.cause, charge: noop };
+    }
+    // a group is one file for maxFiles, its members' sizes add up for the other limits
+    const charge = () => {
+      if (item.reason !== 'max-files' || !decided.charged) {
+        decided.charged = true;
+        verified.charge();
+      }
+    };
+    return { cause: null, charge };
+  }
+
+  /**
+   * @param {Object} item - planned deletion
+   * @return {Promise<{cause: String|null, rule: ExpireRule=, stats: Stats=}>} - cause why the item doesn't qualify
+   * @private
+   */
+  async _verifyPlanItem(item) {
+    let stats;
+    try {
+      stats = await this._stat(item.path);
+    } catch (e) {
+      return { cause: 'missing' };
+    }
+
+    const isDir = item.type === 'dir';
+    if (isDir !== stats.isDirectory()) {
+      return { cause: 'changed' };
+    }
+    const rule = this._ruleFor(item.path, stats);
+    if (!rule || rule.folder !== item.rule || (item.path === rule.folder && !this.removeRoot)) {
+      return { cause: 'not-owned' };
+    }
+    if (rule.ignore.test(item.path, isDir)) {
+      return { cause: 'excluded' };
+    }
+
+    if (isDir) {
+      const list = await this._limit(() => this.backend.list(item.path)).catch(() => null);
+      return { cause: list && list.length === 0 ? null : 'not-empty', rule, stats };
+    }
+
+    if (stats.size !== item.size || stats.mtime.toISOString() !== item.mtime) {
+      return { cause: 'changed' };
+    }
+    // groups were judged as a whole by plan(), a member alone may look too young
+    if (item.group !== undefined) {
+      return { cause: null, rule, stats };
+    }
+    if (item.reason === 'expire' && !rule.isExpired(item.path, stats)) {
+      return { cause: 'not-expired' };
+    }
+    if (rule.age(stats, item.path) < rule.policy(item.path).minimumAge) {
+      return { cause: 'minimum-age' };
+    }
+    return { cause: null, rule, stats };
+  }
+
+  /**
+   * Runs a cycle once the previous ones have ended.
+   *
+   * @param {boolean} dry
+   * @param {{aborted: boolean}|null} signal
+   * @param {Object[]|null=} plan - collects the deletions of the cycle
+   * @param {function():void=} onLocked - called when the cycle is skipped as another process holds the lock
+   * @param {function():Promise<ExpireEntry[]>} run
    * @return {Promise<ExpireEntry[]>}
+   * @private
    */
-  async clean({ dry = this.dry } = {}) {
-    const entry = await this.list();
-    const deleted = [];
-    deleted.push(...await this._expire({ dry, entry }));
-    deleted.push(...await this._pressure({ dry, entry }));
+  _enqueue({ dry, signal, plan = null, onLocked = noop }, run) {
+    const stop = this._stop;
+    const cycle = this._cycles.then(() => this._clean({ dry, signal, stop, plan, onLocked, run }));
+    // a failed cycle doesn't prevent the next ones
+    this._cycles = cycle.then(noop, noop);
+    return cycle;
+  }
+
+  /**
+   * @param {boolean} dry
+   * @param {{aborted: boolean}|null} signal
+   * @param {{stopped: boolean}} stop
+   * @param {Object[]|null} plan
+   * @param {function():void} onLocked
+   * @param {function():Promise<ExpireEntry[]>} run
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _clean({ dry, signal, stop, plan, onLocked, run }) {
+    // only the holder of the lock deletes, dry runs don't need it
+    const lock = dry ? null : this._lock;
+    if (lock && !lock.held) {
+      if (!await lock.acquire()) {
+        debug_lock(`${lock.file} is held by another process, skipping the cycle`);
+        onLocked();
+        return [];
+      }
+      this.emit('lock-acquired', { file: lock.file });
+    }
+
+    const startedAt = Date.now();
+    this._cycle = { scanned: 0, files: 0, dirs: 0, bytesFreed: 0, signal, stop, plan, lock };
+
+    let deleted;
+    try {
+      this._checkAborted();
+      if (!dry) {
+        await Promise.all(this._internalRules.map(rule => this.backend.mkdir(rule.folder)));
+      }
+      deleted = await run();
+      // walks stop early once aborted, their partial results must not pass for a full cycle
+      this._checkAborted();
+    } catch (e) {
+      // archived files were not unlinked, they'll be picked up again next cycle
+      if (this._archive) {
+        await this._archive.abort();
+        this._archive = null;
+      }
+      await this._summarize({ startedAt, dry, error: e });
+      throw e;
+    }
+    await this._summarize({ startedAt, dry });
     this.emit('clean', deleted);
     return deleted;
   }
 
   /**
-   * @return {boolean}
+   * @return {boolean} - the cycle's signal aborted, stop() was called since it was requested,
+   *         or the cycle lost the lock
+   * @private
+   */
+  _isAborted() {
+    const cycle = this._cycle;
+    return !!cycle && (cycle.stop.stopped || !!(cycle.signal && cycle.signal.aborted) || !!(cycle.lock && !cycle.lock.held));
+  }
+
+  /**
+   * Safe point of a cycle, nothing is being deleted.
+   *
+   * @throws {Error} - AbortError once the cycle is aborted
+   * @private
+   */
+  _checkAborted() {
+    if (this._isAborted()) {
+      const e = new Error('clean cycle aborted');
+      e.name = 'AbortError';
+      throw e;
+    }
+  }
+
+  /**
+   * Reports the cycle to the metrics and writes its summary to the audit log.
+   *
+   * @param {number} startedAt
+   * @param {boolean} dry
+   * @param {Error=} error - the cycle failed
+   * @return {Promise<void>}
+   * @private
+   */
+  async _summarize({ startedAt, dry, error = null }) {
+    const cycle = this._cycle;
+    this._cycle = null;
+    const duration = Date.now() - startedAt;
+
+    if (!dry) {
+      this._metrics.cycle({ scanned: cycle.scanned, duration, failed: !!error });
+    }
+    if (!this._audit) {
+      return;
+    }
+
+    const summary = {
+      timestamp: new Date().toISOString(),
+      event: 'cycle',
+      dry,
+      scanned: cycle.scanned,
+      files: cycle.files,
+      dirs: cycle.dirs,
+      bytesFreed: cycle.bytesFreed,
+      duration
+    };
+    if (error) {
+      summary.error = error.message || String(error);
+    }
+    this._audit.write(summary);
+    await this._audit.flush();
+  }
+
+  /**
+   * @param {boolean} dry
+   * @param {boolean=} [pressureOnly=false]
+   * @return {Promise<ExpireEntry[]>}
+   * @private
+   */
+  async _cleanTrees({ dry, pressureOnly = false }) {
+    const trees = await this._listRules({ dry });
+    this._checkAborted();
+    const deleted = [];
+    trees.forEach(({ entry }) => entry.traverse((e) => {
+      if (this._cycle && e.stats && !e.isDir) {
+        this._cycle.scanned++;
+      }
+    }));
+    if (pressureOnly) {
+      return this._pressure({ dry, trees });
+    }
+    for (let i = 0; i < trees.length; i++) {
+      deleted.push(...await this._expire({ dry, entry: trees[i].entry, rule: trees[i].rule }));
+    }
+    for (let i = 0; i < trees.length; i++) {
+      deleted.push(...await this._retention({ dry, entry: trees[i].entry, rule: trees[i].rule }));
+      deleted.push(...await this._maxFiles({ dry, entry: trees[i].entry, rule: trees[i].rule }));
+      deleted.push(...await this._quota({ dry, entry: trees[i].entry, rule: trees[i].rule }));
+    }
+    // before pressure, so it sees the space freed by archived files
+    this._checkAborted();
+    deleted.push(...await this._commitArchive());
+    deleted.push(...await this._pressure({ dry, trees }));
+    return deleted;
+  }
+
+  /**
+   * Moves a file or a folder out of the trash, back where it was deleted from.
+   *
+   * @param {String} filename - path in the trash, or the original path
+   * @return {Promise<String>} - restored path
+   */
+  async restore(filename) {
+    if (!this._trashRule) {
+      throw new Error('trash is not enabled');
+    }
+
+    const resolved = path.resolve(filename);
+    const source = this._trashRule.contains(resolved) ? resolved : this._trashPath(resolved);
+    const target = path.join(this._relativeBase, path.relative(this._trashRule.folder, source));
+    if (!this._trashRule.contains(source) || source === this._trashRule.folder) {
+      throw new Error(`${filename} cannot be in the trash`);
+    }
+
+    await this._restore(source, target);
+
+    // drop dirs of the trash left empty
+    let dirname = path.dirname(source);
+    while (dirname !== this._trashRule.folder && this._trashRule.contains(dirname)) {
+      try {
+        await this.backend.removeDir(dirname);
+      } catch (e) {
+        break;
+      }
+      dirname = path.dirname(dirname);
+    }
+    return target;
+  }
+
+  /**
+   * @param {String} source
+   * @param {String} target
+   * @return {Promise<void>}
+   * @private
+   */
+  async _restore(source, target) {
+    const stats = await this.backend.stat(source);
+
+    if (stats.isDirectory()) {
+      const names = (await this.backend.list(source)).map(item => typeof item === 'string' ? item : item.name);
+      for (let i = 0; i < names.length; i++) {
+        await this._restore(path.join(source, names[i]), path.join(target, names[i]));
+      }
+      await this.backend.mkdir(target);
+      await this.backend.removeDir(source);
+      return;
+    }
+
+    let exists = true;
+    try {
+      await this.backend.stat(target);
+    } catch (e) {
+      exists = false;
+    }
+    if (exists) {
+      throw new Error(`cannot restore ${source}: ${target} already exists`);
+    }
+
+    await this.backend.move(source, target);
+  }
+
+  /**
+   * @return {String} - counters of the cycles in the Prometheus text format, dry runs are not counted
+   */
+  metrics() {
+    return this._metrics.render();
+  }
+
+  /**
+   * Stops the timer, aborts the cycles in progress or waiting at their next safe point and releases the lock.
+   *
+   * @return {Promise<boolean>} - resolves once they have ended, false if not started
    */
   stop() {
-    if (!this._interval) {
-      return false; // not started
+    const started = this._started;
+    this._started = false;
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
     }
-    clearInterval(this._interval);
-    this._interval = null;
-    return true;
+    if (this._pressureTimer) {
+      clearTimeout(this._pressureTimer);
+      this._pressureTimer = null;
+    }
+    this._next = { clean: null, pressure: null };
+    this._stop.stopped = true;
+    this._stop = { stopped: false };
+
+    return this._cycles.then(() => {
+      // started again in the meantime
+      if (this._started) {
+        return started;
+      }
+      this._closeIndex();
+      return Promise.all([this._metrics.close(), this._lock && this._lock.release()]).then(() => started);
+    });
   }
 
   /**
    * @return {boolean}
    */
   start() {
-    if (this._interval) {
+    if (this._started) {
       return false; // already started
     }
-    this._interval = setInterval(async () => {
+    this._started = true;
+    this._schedule();
+    if (this.schedule && this.schedule.pressureInterval !== Infinity) {
+      this._schedulePressure();
+    }
+
+    if (this.metricsServer) {
+      this._metrics.listen(this.metricsServer).catch((e) => {
+        if (this.listenerCount('error')) {
+          this.emit('error', e);
+        } else {
+          this.logger.warn(`error serving metrics on port ${this.metricsServer.port}: ${e.message || e}`);
+        }
+      });
+    }
+    return true;
+  }
+
+  /**
+   * @return {Promise<Object|null>} - `{file, held, stale, holder: {pid, hostname, acquiredAt, heartbeatAt}|null}`,
+   *         null without a lock
+   */
+  lockStatus() {
+    return this._lock ? this._lock.status() : Promise.resolve(null);
+  }
+
+  /**
+   * @return {{clean: Date|null, pressure: Date|null}} - planned times of the next clean cycle
+   *         and of the next pressure check while started, null when none is planned
+   */
+  nextRun() {
+    const copy = date => date && new Date(date.getTime());
+    return { clean: copy(this._next.clean), pressure: copy(this._next.pressure) };
+  }
+
+  /**
+   * Runs the next cycle `interval` after the previous one has ended, or at the next time
+   * allowed by the schedule. Outside its windows, a cycle is aborted at its next safe point.
+   *
+   * @private
+   */
+  _schedule() {
+    const at = this.schedule ? this.schedule.next(new Date) : new Date(Date.now() + this.interval);
+    this._next.clean = at;
+    if (!at) {
+      return;
+    }
+    this._wait(at, (timer) => {
+      this._timer = timer;
+    }, () => {
+      this._timer = null;
+      this._next.clean = null;
+      const signal = this.schedule && this.schedule.windowed ? this.schedule.signal() : null;
+      this.clean({ signal })
+        .catch((e) => {
+          // aborted by stop() or by the end of the window
+          if (e.name !== 'AbortError') {
+            this._scheduledError(e, 'scheduled clean cycle failed');
+          }
+        })
+        .then(() => {
+          if (this._started && !this._timer) {
+            this._schedule();
+          }
+        });
+    });
+  }
+
+  /**
+   * Emits an error of a scheduled cycle, or logs it without `error` listeners,
+   * as emitting it would then throw and leave an unhandled rejection.
+   *
+   * @param {Error} e
+   * @param {String} message
+   * @private
+   */
+  _scheduledError(e, message) {
+    if (this.listenerCount('error')) {
+      this.emit('error', e);
+      return;
+    }
+    const log = typeof this.logger.error === 'function' ? this.logger.error : this.logger.warn;
+    log.call(this.logger, `${message}: ${e.message || e}`);
+  }
+
+  /**
+   * Checks the disks every `pressureInterval`, at any time, and runs a pressure only cycle
+   * when one needs it.
+   *
+   * @private
+   */
+  _schedulePressure() {
+    const at = new Date(Date.now() + this.schedule.pressureInterval);
+    this._next.pressure = at;
+    this._wait(at, (timer) => {
+      this._pressureTimer = timer;
+    }, () => {
+      this._pressureTimer = null;
+      this._next.pressure = null;
+      this._needsPressure()
+        .then(needed => needed ? this.clean({ pressureOnly: true }) : null)
+        .catch((e) => {
+          if (e.name !== 'AbortError') {
+            this._scheduledError(e, 'scheduled pressure check failed');
+          }
+        })
+        .then(() => {
+          if (this._started && !this._pressureTimer) {
+            this._schedulePressure();
+          }
+        });
+    });
+  }
+
+  /**
+   * setTimeout to a date, even further than it supports, and never early.
+   *
+   * @param {Date} at
+   * @param {function(Timeout)} set - stores the current timer, for stop()
+   * @param {function} run
+   * @private
+   */
+  _wait(at, set, run) {
+    const delay = at.getTime() - Date.now();
+    set(setTimeout(() => {
+      if (at.getTime() > Date.now()) {
+        this._wait(at, set, run);
+        return;
+      }
+      run();
+    }, Math.max(0, Math.min(delay, ExpireSchedule.maxDelay))));
+  }
+
+  /**
+   * @return {Promise<boolean>} - a device of the rules is over `pressureHigh`, still under pressure,
+   *         or over `inodePressure`
+   * @private
+   */
+  async _needsPressure() {
+    const devices = new Set;
+    const rules = this._allRules();
+    for (let i = 0; i < rules.length; i++) {
+      let stats;
       try {
-        await this.clean();
+        stats = await this._stat(rules[i].folder);
       } catch (e) {
-        this.emit('error', e);
+        continue;
       }
-    }, this.interval);
-    return true;
+      if (devices.has(stats.dev)) {
+        continue;
+      }
+      devices.add(stats.dev);
+
+      const root = rules[i].folder;
+      if (this._pressured.has(root) || (await this._measureDisk(root)).usage >= this.pressureHigh) {
+        return true;
+      }
+      if ((await this._inodesToFree(root)).toFree > 0) {
+        return true;
+      }
+    }
+    return false;
   }
 }
 
@@ -561,4 +3811,7 @@ ExpireFS.TimeType = {
   birth_time: 'birthtime'
 };
 
+ExpireFS.FsBackend = ExpireFsBackend;
+ExpireFS.MemoryBackend = ExpireMemoryBackend;
+
 module.exports = ExpireFS;
@@ -0,0 +1,280 @@
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+
+const writeExclusiveAsync = (filename, data) => new Promise((res, rej) => fs.writeFile(filename, data, { flag: 'wx' }, e => e ? rej(e) : res()));
+const readFileAsync = filename => new Promise((res, rej) => fs.readFile(filename, 'utf8', (e, t) => e ? rej(e) : res(t)));
+const statsAsync = filename => new Promise((res, rej) => fs.stat(filename, (e, s) => e ? rej(e) : res(s)));
+const unlinkAsync = filename => new Promise((res, rej) => fs.unlink(filename, e => e ? rej(e) : res()));
+const renameAsync = (from, to) => new Promise((res, rej) => fs.rename(from, to, e => e ? rej(e) : res()));
+const linkAsync = (from, to) => new Promise((res, rej) => fs.link(from, to, e => e ? rej(e) : res()));
+const utimesAsync = (filename, time) => new Promise((res, rej) => fs.utimes(filename, time, time, e => e ? rej(e) : res()));
+
+/**
+ * default name of the lock file, in the folder of the first rule, never deleted
+ * @type {string}
+ */
+const LOCK_FILE = '.expire-fs.lock';
+
+const noop = () => {};
+
+/**
+ * @param {number} pid - of a process on this host
+ * @return {boolean}
+ */
+const isAlive = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    // exists, owned by another user
+    return e.code === 'EPERM';
+  }
+};
+
+/**
+ * @param {string} text
+ * @return {Object|null} - null while being written or when corrupt
+ */
+const parseHolder = (text) => {
+  try {
+    const holder = JSON.parse(text);
+    return holder && typeof holder === 'object' ? holder : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Lock file shared by the processes cleaning the same folders, holding the PID of its owner.
+ * The owner touches it every `heartbeat`, a lock not touched for `stale`, or whose process is gone,
+ * is taken over by the next process trying to acquire it.
+ */
+class ExpireLock {
+  /**
+   * @param {string} file
+   * @param {number=} [heartbeat=10000] - milliseconds between touches of the lock file
+   * @param {number=} [stale=30000] - milliseconds without a touch after which the lock is taken over
+   * @param {{warn: function}=} [logger=console]
+   * @param {function=} onLost - called when the lock file was taken over or removed while held
+   */
+  constructor({ file, heartbeat = 10 * 1000, stale = 30 * 1000, logger = console, onLost = noop }) {
+    if (!(typeof heartbeat === 'number' && heartbeat > 0)) {
+      throw new Error('lock.heartbeat should be a positive number');
+    }
+    if (!(typeof stale === 'number' && stale > heartbeat)) {
+      throw new Error('lock.stale should be longer than lock.heartbeat');
+    }
+    this.file = file;
+    this.heartbeat = heartbeat;
+    this.stale = stale;
+    this._logger = logger;
+    this._onLost = onLost;
+
+    /**
+     * written in the lock file while held, tells our lock from a lock taken over since
+     * @type {string|null}
+     * @private
+     */
+    this._token = null;
+    /**
+     * @type {Timeout|null}
+     * @private
+     */
+    this._timer = null;
+  }
+
+  /**
+   * @return {boolean}
+   */
+  get held() {
+    return this._token !== null;
+  }
+
+  /**
+   * @return {Promise<boolean>} - held, false if another live process holds it
+   */
+  async acquire() {
+    if (this.held) {
+      return true;
+    }
+
+    const token = crypto.randomBytes(8).toString('hex');
+    const data = JSON.stringify({
+      pid: process.pid,
+      hostname: os.hostname(),
+      token,
+      acquiredAt: new Date().toISOString()
+    }) + '\n';
+
+    try {
+      await writeExclusiveAsync(this.file, data);
+    } catch (e) {
+      if (e.code !== 'EEXIST') {
+        throw e;
+      }
+      const found = await this._read();
+      if (!found || !this._isStale(found) || !await this._takeOver(token, found)) {
+        return false;
+      }
+      try {
+        await writeExclusiveAsync(this.file, data);
+      } catch (retry) {
+        // acquired by another process since the stale lock was removed
+        if (retry.code === 'EEXIST') {
+          return false;
+        }
+        throw retry;
+      }
+    }
+
+    this._token = token;
+    this._timer = setInterval(() => this._beat(), this.heartbeat);
+    // the lock alone doesn't keep the process alive
+    if (this._timer.unref) {
+      this._timer.unref();
+    }
+    return true;
+  }
+
+  /**
+   * @return {Promise<{file: string, held: boolean, stale: boolean,
+   *         holder: {pid: number, hostname: string, acquiredAt: string, heartbeatAt: Date}|null}>}
+   *         - holder is null when nobody holds the lock
+   */
+  async status() {
+    const found = await this._read();
+    if (!found) {
+      return { file: this.file, held: false, stale: false, holder: null };
+    }
+
+    const { stats, holder } = found;
+    return {
+      file: this.file,
+      held: this.held,
+      stale: this._isStale(found),
+      holder: holder && {
+        pid: holder.pid,
+        hostname: holder.hostname,
+        acquiredAt: holder.acquiredAt,
+        heartbeatAt: stats.mtime
+      }
+    };
+  }
+
+  /**
+   * @return {Promise<{stats: fs.Stats, holder: Object|null}|null>} - null when there is no lock file
+   * @private
+   */
+  async _read() {
+    try {
+      const stats = await statsAsync(this.file);
+      return { stats, holder: parseHolder(await readFileAsync(this.file)) };
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * @param {{stats: fs.Stats, holder: Object|null}} found
+   * @return {boolean} - not touched for `stale`, or its process is gone from this host
+   * @private
+   */
+  _isStale({ stats, holder }) {
+    const dead = !!holder && holder.hostname === os.hostname() && !isAlive(holder.pid);
+    return dead || Date.now() - stats.mtime.getTime() > this.stale;
+  }
+
+  /**
+   * Removes the stale lock file by renaming it aside: of the processes taking it over at once,
+   * only the one whose rename moved that stale file goes on to write its own.
+   *
+   * @param {string} token - of this process, names the file moved aside
+   * @param {{stats: fs.Stats, holder: Object|null}} found - lock file found stale
+   * @return {Promise<boolean>} - false if another process took the lock over first
+   * @private
+   */
+  async _takeOver(token, found) {
+    const aside = `${this.file}.${token}`;
+    try {
+      await renameAsync(this.file, aside);
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        throw e;
+      }
+      // moved aside by another process
+      return false;
+    }
+
+    // the same file, untouched since it was found stale
+    const stats = await statsAsync(aside);
+    if (stats.ino !== found.stats.ino || stats.mtime.getTime() !== found.stats.mtime.getTime()) {
+      // the lock of a process that took it over first, put back unless yet another one was written
+      await linkAsync(aside, this.file).catch(noop);
+      await unlinkAsync(aside).catch(noop);
+      return false;
+    }
+
+    const { holder } = found;
+    this._logger.warn(`taking over stale lock ${this.file}${holder ? ` of pid ${holder.pid} on ${holder.hostname}` : ''}`);
+    await unlinkAsync(aside).catch(noop);
+    return true;
+  }
+
+  /**
+   * Removes the lock file if it is still ours.
+   *
+   * @return {Promise<void>}
+   */
+  async release() {
+    if (!this.held) {
+      return;
+    }
+    const token = this._token;
+    this._stopBeating();
+    const text = await readFileAsync(this.file).catch(() => null);
+    const holder = text && parseHolder(text);
+    if (holder && holder.token === token) {
+      await unlinkAsync(this.file).catch(noop);
+    }
+  }
+
+  /**
+   * Touches the lock file, unless it was taken over.
+   *
+   * @return {Promise<void>}
+   * @private
+   */
+  async _beat() {
+    const token = this._token;
+    const text = await readFileAsync(this.file).catch(() => null);
+    // released meanwhile
+    if (this._token !== token) {
+      return;
+    }
+    const holder = text && parseHolder(text);
+    if (!holder || holder.token !== token) {
+      this._logger.warn(`lock ${this.file} was taken over or removed`);
+      this._stopBeating();
+      this._onLost();
+      return;
+    }
+    await utimesAsync(this.file, new Date).catch(e => this._logger.warn(`error touching lock ${this.file}: ${e.message || e}`));
+  }
+
+  /**
+   * @private
+   */
+  _stopBeating() {
+    this._token = null;
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+}
+
+ExpireLock.LOCK_FILE = LOCK_FILE;
+
+module.exports = ExpireLock;
@@ -0,0 +1,341 @@
+const path = require('path');
+
+/**
+ * @param {string} code - fs error code
+ * @param {string} syscall
+ * @param {string} filename
+ * @return {Error}
+ */
+const fsError = (code, syscall, filename) => Object.assign(
+  new Error(`${code}: ${syscall} '${filename}'`),
+  { code, syscall, path: filename }
+);
+
+/**
+ * @param {number|Date} time
+ * @return {Date}
+ */
+const toDate = time => new Date(time instanceof Date ? time.getTime() : time);
+
+/**
+ * `fs.Stats` of an in-memory entry
+ */
+class ExpireMemoryStats {
+  /**
+   * @param {{dir: boolean, size: number, blocks: number, ino: number, nlink: number, atime: Date, mtime: Date, ctime: Date, birthtime: Date}} node
+   */
+  constructor(node) {
+    this.dev = 1;
+    this.ino = node.ino;
+    this.mode = node.dir ? 0o40755 : 0o100644;
+    this.nlink = node.nlink;
+    this.size = node.dir ? 0 : node.size;
+    this.blksize = 4096;
+    this.blocks = node.dir ? 0 : node.blocks;
+    this.atime = node.atime;
+    this.mtime = node.mtime;
+    this.ctime = node.ctime;
+    this.birthtime = node.birthtime;
+    this.atimeMs = node.atime.getTime();
+    this.mtimeMs = node.mtime.getTime();
+    this.ctimeMs = node.ctime.getTime();
+    this.birthtimeMs = node.birthtime.getTime();
+    this._dir = node.dir;
+  }
+
+  isDirectory() {
+    return this._dir;
+  }
+
+  isFile() {
+    return !this._dir;
+  }
+
+  isSymbolicLink() {
+    return false;
+  }
+}
+
+/**
+ * Backend keeping a whole filesystem in memory, with a fake clock and a fixed capacity,
+ * to simulate cleanup policies deterministically.
+ */
+class ExpireMemoryBackend {
+  /**
+   * @param {number=} [capacity=Number.MAX_SAFE_INTEGER] - bytes reported by `diskUsage`
+   * @param {number=} [inodes=Number.MAX_SAFE_INTEGER] - inodes reported by `inodeUsage`
+   * @param {number=} [now=Date.now()] - start of the clock, milliseconds
+   */
+  constructor({ capacity = Number.MAX_SAFE_INTEGER, inodes = Number.MAX_SAFE_INTEGER, now = Date.now() } = {}) {
+    this.capacity = capacity;
+    this.inodes = inodes;
+    /**
+     * @type {number}
+     * @private
+     */
+    this._now = now;
+    /**
+     * @type {number}
+     * @private
+     */
+    this._ino = 1;
+    /**
+     * path -> node, dirs list their children
+     * @type {Map<string, Object>}
+     * @private
+     */
+    this._nodes = new Map;
+    this._nodes.set(path.sep, this._node(true));
+  }
+
+  /**
+   * @return {number} - milliseconds, used to measure ages instead of `Date.now()`
+   */
+  now() {
+    return this._now;
+  }
+
+  /**
+   * Moves the clock forward
+   * @param {number} ms
+   */
+  advance(ms) {
+    this._now += ms;
+  }
+
+  /**
+   * @return {number} - bytes allocated to the files, hardlinked files count once
+   */
+  get used() {
+    let used = 0;
+    this._inodes().forEach((node) => {
+      used += node.dir ? 0 : node.blocks * 512;
+    });
+    return used;
+  }
+
+  /**
+   * @return {Set<Object>} - nodes, once per inode
+   * @private
+   */
+  _inodes() {
+    return new Set(this._nodes.values());
+  }
+
+  /**
+   * @param {boolean} dir
+   * @param {Object=} props - size, blocks, content and times of a file, times default to now
+   * @return {Object}
+   * @private
+   */
+  _node(dir, { size = 0, blocks, content = '', atime, mtime, ctime, birthtime } = {}) {
+    const now = this._now;
+    if (content) {
+      size = Buffer.byteLength(content);
+    }
+    const node = {
+      dir,
+      ino: this._ino++,
+      nlink: 1,
+      size,
+      // whole 4k blocks unless given, fewer for a sparse file
+      blocks: blocks !== undefined ? blocks : Math.ceil(size / 4096) * 8,
+      content,
+      atime: toDate(atime !== undefined ? atime : now),
+      mtime: toDate(mtime !== undefined ? mtime : now),
+      ctime: toDate(ctime !== undefined ? ctime : now),
+      birthtime: toDate(birthtime !== undefined ? birthtime : now)
+    };
+    if (dir) {
+      node.children = new Set;
+    }
+    return node;
+  }
+
+  /**
+   * @param {string} filename
+   * @param {string} syscall
+   * @return {Object}
+   * @private
+   */
+  _get(filename, syscall) {
+    const node = this._nodes.get(path.resolve(filename));
+    if (!node) {
+      throw fsError('ENOENT', syscall, filename);
+    }
+    return node;
+  }
+
+  /**
+   * @param {string} filename
+   * @param {Object} node
+   * @private
+   */
+  _add(filename, node) {
+    const resolved = path.resolve(filename);
+    const dirname = path.dirname(resolved);
+    this.mkdir(dirname);
+    const parent = this._nodes.get(dirname);
+    if (!parent.dir) {
+      throw fsError('ENOTDIR', 'open', filename);
+    }
+    parent.children.add(path.basename(resolved));
+    parent.mtime = parent.ctime = toDate(this._now);
+    this._nodes.set(resolved, node);
+  }
+
+  /**
+   * @param {string} filename
+   * @private
+   */
+  _remove(filename) {
+    const resolved = path.resolve(filename);
+    const parent = this._nodes.get(path.dirname(resolved));
+    parent.children.delete(path.basename(resolved));
+    parent.mtime = parent.ctime = toDate(this._now);
+    this._nodes.get(resolved).nlink--;
+    this._nodes.delete(resolved);
+  }
+
+  /**
+   * Creates a dir and its missing parents
+   * @param {string} dirname
+   */
+  mkdir(dirname) {
+    const node = this._nodes.get(path.resolve(dirname));
+    if (node) {
+      if (!node.dir) {
+        throw fsError('EEXIST', 'mkdir', dirname);
+      }
+      return;
+    }
+    this._add(dirname, this._node(true));
+  }
+
+  /**
+   * Creates or replaces a file, creating its missing dirs.
+   *
+   * @param {string} filename
+   * @param {number=} [size=0] - bytes, the length of `content` when given
+   * @param {number=} blocks - 512 bytes blocks allocated, whole 4k blocks by default, fewer for a sparse file
+   * @param {string=} content - read by `readFile`, for ignore and override files
+   * @param {number|Date=} atime - defaults to now, like the other times
+   * @param {number|Date=} mtime
+   * @param {number|Date=} ctime
+   * @param {number|Date=} birthtime
+   */
+  writeFile(filename, props = {}) {
+    const existing = this._nodes.get(path.resolve(filename));
+    if (existing && existing.dir) {
+      throw fsError('EISDIR', 'open', filename);
+    }
+    if (existing) {
+      this._remove(filename);
+    }
+    this._add(filename, this._node(false, props));
+  }
+
+  /**
+   * Adds a hardlink to a file, both names share the inode and its blocks
+   * @param {string} existing
+   * @param {string} filename
+   */
+  link(existing, filename) {
+    const node = this._get(existing, 'link');
+    if (node.dir) {
+      throw fsError('EPERM', 'link', existing);
+    }
+    if (this.exists(filename)) {
+      throw fsError('EEXIST', 'link', filename);
+    }
+    this._add(filename, node);
+    node.nlink++;
+    node.ctime = toDate(this._now);
+  }
+
+  /**
+   * @param {string} filename
+   * @return {boolean}
+   */
+  exists(filename) {
+    return this._nodes.has(path.resolve(filename));
+  }
+
+  /**
+   * @param {string} dirname
+   * @return {string[]}
+   */
+  list(dirname) {
+    const node = this._get(dirname, 'scandir');
+    if (!node.dir) {
+      throw fsError('ENOTDIR', 'scandir', dirname);
+    }
+    return [...node.children];
+  }
+
+  /**
+   * @param {string} filename
+   * @return {ExpireMemoryStats}
+   */
+  stat(filename) {
+    return new ExpireMemoryStats(this._get(filename, 'stat'));
+  }
+
+  /**
+   * @param {string} filename
+   * @return {string}
+   */
+  readFile(filename) {
+    const node = this._get(filename, 'open');
+    if (node.dir) {
+      throw fsError('EISDIR', 'read', filename);
+    }
+    return node.content;
+  }
+
+  /**
+   * @param {string} filename
+   */
+  removeFile(filename) {
+    if (this._get(filename, 'unlink').dir) {
+      throw fsError('EISDIR', 'unlink', filename);
+    }
+    this._remove(filename);
+  }
+
+  /**
+   * @param {string} dirname
+   */
+  removeDir(dirname) {
+    const node = this._get(dirname, 'rmdir');
+    if (!node.dir) {
+      throw fsError('ENOTDIR', 'rmdir', dirname);
+    }
+    if (node.children.size) {
+      throw fsError('ENOTEMPTY', 'rmdir', dirname);
+    }
+    if (path.resolve(dirname) === path.sep) {
+      throw fsError('EBUSY', 'rmdir', dirname);
+    }
+    this._remove(dirname);
+  }
+
+  /**
+   * @return {{total: number, available: number, free: number}}
+   */
+  diskUsage() {
+    const available = Math.max(0, this.capacity - this.used);
+    return { total: this.capacity, available, free: available };
+  }
+
+  /**
+   * @return {{files: number, ffree: number}}
+   */
+  inodeUsage() {
+    return { files: this.inodes, ffree: Math.max(0, this.inodes - this._inodes().size) };
+  }
+}
+
+ExpireMemoryBackend.Stats = ExpireMemoryStats;
+
+module.exports = ExpireMemoryBackend;
@@ -0,0 +1,202 @@
+const http = require('http');
+
+/**
+ * @param {string} value
+ * @return {string}
+ */
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+/**
+ * @param {Object<string, string>} labels
+ * @return {string} - `{name="value",…}`, empty without labels
+ */
+const formatLabels = (labels) => {
+  const keys = Object.keys(labels);
+  if (!keys.length) {
+    return '';
+  }
+  return '{' + keys.map(key => `${key}="${escapeLabel(labels[key])}"`).join(',') + '}';
+};
+
+/**
+ * Counters of the clean cycles, rendered in the Prometheus text format.
+ */
+class ExpireMetrics {
+  constructor() {
+    this._scanned = 0;
+    /**
+     * `reason` -> deleted files, dirs and bytes
+     * @type {Map<string, {files: number, dirs: number, bytes: number}>}
+     * @private
+     */
+    this._deleted = new Map;
+    /**
+     * `operation` -> errors
+     * @type {Map<string, number>}
+     * @private
+     */
+    this._errors = new Map;
+    this._cycles = { success: 0, error: 0 };
+    this._lastDuration = null;
+    this._lastSuccess = null;
+    /**
+     * path -> usage ratio of its filesystem
+     * @type {Map<string, number>}
+     * @private
+     */
+    this._diskUsage = new Map;
+    /** @type {Map<string, number>} */
+    this._inodeUsage = new Map;
+
+    this._server = null;
+  }
+
+  /**
+   * @param {string} reason
+   * @param {boolean} isDir
+   * @param {number} size
+   */
+  deleted({ reason, isDir, size }) {
+    if (!this._deleted.has(reason)) {
+      this._deleted.set(reason, { files: 0, dirs: 0, bytes: 0 });
+    }
+    const counts = this._deleted.get(reason);
+    if (isDir) {
+      counts.dirs++;
+    } else {
+      counts.files++;
+      counts.bytes += size;
+    }
+  }
+
+  /**
+   * @param {string} operation - scan or delete
+   */
+  error(operation) {
+    this._errors.set(operation, (this._errors.get(operation) || 0) + 1);
+  }
+
+  /**
+   * @param {number} scanned - files seen by the cycle
+   * @param {number} duration - milliseconds
+   * @param {boolean} failed
+   */
+  cycle({ scanned, duration, failed }) {
+    this._scanned += scanned;
+    this._lastDuration = duration;
+    if (failed) {
+      this._cycles.error++;
+    } else {
+      this._cycles.success++;
+      this._lastSuccess = Date.now();
+    }
+  }
+
+  /**
+   * @param {string} path
+   * @param {number} ratio
+   */
+  diskUsage(path, ratio) {
+    this._diskUsage.set(path, ratio);
+  }
+
+  /**
+   * @param {string} path
+   * @param {number} ratio
+   */
+  inodeUsage(path, ratio) {
+    this._inodeUsage.set(path, ratio);
+  }
+
+  /**
+   * @return {string} - Prometheus text format
+   */
+  render() {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} ${type}`);
+      samples.forEach(({ labels = {}, value }) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+    };
+
+    const deleted = [...this._deleted.entries()];
+    const pick = key => deleted.map(([reason, counts]) => ({ labels: { reason }, value: counts[key] }));
+    const ratios = map => [...map.entries()].map(([path, value]) => ({ labels: { path }, value }));
+
+    metric('expire_fs_files_scanned_total', 'counter', 'Files seen by clean cycles.', [{ value: this._scanned }]);
+    metric('expire_fs_deleted_files_total', 'counter', 'Files deleted, by reason.', pick('files'));
+    metric('expire_fs_deleted_dirs_total', 'counter', 'Dirs deleted, by reason.', pick('dirs'));
+    metric('expire_fs_deleted_bytes_total', 'counter', 'Bytes of the files deleted, by reason.', pick('bytes'));
+    metric('expire_fs_cycles_total', 'counter', 'Clean cycles, by result.', [
+      { labels: { result: 'success' }, value: this._cycles.success },
+      { labels: { result: 'error' }, value: this._cycles.error }
+    ]);
+    metric('expire_fs_errors_total', 'counter', 'Errors reading or deleting entries, by operation.',
+      [...this._errors.entries()].map(([operation, value]) => ({ labels: { operation }, value })));
+    if (this._lastDuration !== null) {
+      metric('expire_fs_last_cycle_duration_seconds', 'gauge', 'Duration of the last clean cycle.',
+        [{ value: this._lastDuration / 1000 }]);
+    }
+    if (this._lastSuccess !== null) {
+      metric('expire_fs_last_success_timestamp_seconds', 'gauge', 'End of the last successful clean cycle.',
+        [{ value: this._lastSuccess / 1000 }]);
+    }
+    metric('expire_fs_disk_usage_ratio', 'gauge', 'Disk usage measured by the pressure check.',
+      ratios(this._diskUsage));
+    metric('expire_fs_inode_usage_ratio', 'gauge', 'Inode usage measured by the inode pressure check.',
+      ratios(this._inodeUsage));
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Serves `render()` over HTTP, once the server of a previous `listen()` is closed.
+   *
+   * @param {number} port
+   * @param {string=} [host='127.0.0.1']
+   * @param {string=} [path='/metrics']
+   * @return {Promise<http.Server>}
+   */
+  listen({ port, host = '127.0.0.1', path = '/metrics' }) {
+    const server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== path) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      res.end(this.render());
+    });
+    // metrics alone don't keep the process alive
+    server.unref();
+    const previous = this.close();
+    this._server = server;
+
+    return previous.then(() => new Promise((res, rej) => {
+      // closed before it got to listen
+      if (this._server !== server) {
+        res(server);
+        return;
+      }
+      server.once('error', rej);
+      server.listen(port, host, () => {
+        server.removeListener('error', rej);
+        res(server);
+      });
+    }));
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  close() {
+    const server = this._server;
+    this._server = null;
+    if (!server) {
+      return Promise.resolve();
+    }
+    return new Promise(res => server.close(() => res()));
+  }
+}
+
+module.exports = ExpireMetrics;
@@ -0,0 +1,94 @@
+/**
+ * per-directory policy overrides, JSON
+ * @type {string}
+ */
+const OVERRIDE_FILE = '.expire.json';
+
+const validTimeTypes = new Set(['atime', 'mtime', 'ctime', 'birthtime']);
+
+/**
+ * @param {*} value
+ * @return {boolean}
+ */
+const isDuration = value => typeof value === 'number' && value >= 0;
+
+/**
+ * @param {String|RegExp} value - RegExp source, or a `/source/flags` literal
+ * @return {RegExp}
+ */
+const parseRegExp = (value) => {
+  if (value instanceof RegExp) {
+    return value;
+  }
+  const str = String(value);
+  const literal = /^\/(.*)\/([gimsuy]*)$/.exec(str);
+  return literal ? new RegExp(literal[1], literal[2]) : new RegExp(str);
+};
+
+/**
+ * override name -> value parser, throws on invalid values
+ * @type {Object<string, function(*):*>}
+ */
+const overrideTypes = {
+  expire: (value) => {
+    if (value === null) {
+      return Infinity;
+    }
+    if (!isDuration(value)) {
+      throw new Error('expire should be a number of milliseconds or null');
+    }
+    return value;
+  },
+  minimumAge: (value) => {
+    if (!isDuration(value)) {
+      throw new Error('minimumAge should be a number of milliseconds');
+    }
+    return value;
+  },
+  filter: (value) => {
+    if (typeof value !== 'string') {
+      throw new Error('filter should be a regex string');
+    }
+    return parseRegExp(value);
+  },
+  timeType: (value) => {
+    if (!validTimeTypes.has(value)) {
+      throw new Error('timeType should be one of ' + [...validTimeTypes].join(', '));
+    }
+    return value;
+  },
+  pressure: (value) => {
+    if (typeof value !== 'boolean') {
+      throw new Error('pressure should be true or false');
+    }
+    return value;
+  },
+};
+
+/**
+ * Parses an override file, throws on malformed JSON, unknown keys or invalid values.
+ *
+ * @param {string} text - `{expire, minimumAge, filter, timeType, pressure}`, expire null never expires
+ * @return {Object} - overrides with a RegExp filter
+ */
+const parseOverrides = (text) => {
+  const data = JSON.parse(text);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('overrides should be a JSON object');
+  }
+
+  const overrides = {};
+  Object.keys(data).forEach((key) => {
+    if (!overrideTypes.hasOwnProperty(key)) {
+      throw new Error(`unknown override "${key}"`);
+    }
+    overrides[key] = overrideTypes[key](data[key]);
+  });
+  return overrides;
+};
+
+module.exports = {
+  OVERRIDE_FILE,
+  parseOverrides,
+  parseRegExp
+};
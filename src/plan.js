@@ -0,0 +1,71 @@
+/**
+ * reason -> description of a planned deletion, `expire` is described with how long ago the file expired
+ * @type {Object<string, string>}
+ */
+const descriptions = {
+  retention: 'not kept by retention',
+  'max-files': 'over maxFiles',
+  'max-size': 'over maxSize',
+  pressure: 'pressure eviction',
+  'inode-pressure': 'inode pressure eviction',
+  'empty-dir': 'empty dir',
+};
+
+/**
+ * @param {string} reason
+ * @param {number|null} expiredBy - milliseconds past `expire`, only for the expire reason
+ * @param {string|null=} [group=null] - of a grouped file
+ * @return {string}
+ */
+const describe = (reason, expiredBy, group = null) => {
+  const suffix = group !== null ? ` with group ${group}` : '';
+  if (reason === 'expire') {
+    return group !== null ? `expired${suffix}` : `expired by ${expiredBy} ms`;
+  }
+  return (descriptions[reason] || reason) + suffix;
+};
+
+/**
+ * @param {Object[]} items - planned deletions
+ * @return {{files: number, dirs: number, bytes: number, reasons: Object<string, {files: number, dirs: number, bytes: number}>}}
+ */
+const totals = (items) => {
+  const sum = { files: 0, dirs: 0, bytes: 0, reasons: {} };
+  items.forEach((item) => {
+    if (!sum.reasons.hasOwnProperty(item.reason)) {
+      sum.reasons[item.reason] = { files: 0, dirs: 0, bytes: 0 };
+    }
+    [sum, sum.reasons[item.reason]].forEach((counts) => {
+      if (item.type === 'dir') {
+        counts.dirs++;
+      } else {
+        counts.files++;
+        counts.bytes += item.size;
+      }
+    });
+  });
+  return sum;
+};
+
+/**
+ * Checks a plan before applying it, throws when it wasn't made by `plan()`.
+ *
+ * @param {Object} plan
+ */
+const validatePlan = (plan) => {
+  if (!plan || plan.version !== 1 || !Array.isArray(plan.items)) {
+    throw new Error('plan should be an object returned by plan()');
+  }
+  plan.items.forEach((item) => {
+    if (!item || typeof item.path !== 'string' || (item.type !== 'file' && item.type !== 'dir') ||
+      typeof item.reason !== 'string' || typeof item.rule !== 'string') {
+      throw new Error('plan items should have a path, a type, a reason and a rule');
+    }
+  });
+};
+
+module.exports = {
+  describe,
+  totals,
+  validatePlan
+};
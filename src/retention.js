@@ -0,0 +1,100 @@
+const pad = n => (n < 10 ? '0' : '') + n;
+
+/**
+ * @param {Date} date
+ * @return {string} - ISO week, e.g. `2024-W05`
+ */
+const isoWeek = (date) => {
+  // thursday of the week decides its year
+  const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - (date.getDay() + 6) % 7);
+  const jan4 = new Date(thursday.getFullYear(), 0, 4);
+  const mondayOfWeek1 = new Date(jan4.getFullYear(), 0, 4 - (jan4.getDay() + 6) % 7);
+  const week = 1 + Math.round((thursday - mondayOfWeek1) / (7 * 24 * 3600 * 1000) - 3 / 7);
+  return `${thursday.getFullYear()}-W${pad(week)}`;
+};
+
+/**
+ * period name -> bucket of a date, in local time
+ * @type {Object<string, function(Date):string>}
+ */
+const periods = {
+  hourly: d => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}`,
+  daily: d => `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`,
+  weekly: isoWeek,
+  monthly: d => `${d.getFullYear()}-${pad(d.getMonth() + 1)}`,
+  yearly: d => String(d.getFullYear()),
+};
+
+/**
+ * Checks a retention policy, throws on unknown keys or invalid counts.
+ *
+ * @param {Object} retention - `{last, hourly, daily, weekly, monthly, yearly, group}`
+ */
+const validateRetention = (retention) => {
+  Object.keys(retention).forEach((key) => {
+    if (key === 'group') {
+      const group = retention.group;
+      if (group !== undefined && !(group instanceof RegExp) && typeof group !== 'function') {
+        throw new Error('retention group should be a RegExp or a function');
+      }
+      return;
+    }
+    if (key !== 'last' && !periods.hasOwnProperty(key)) {
+      throw new Error(`unknown retention period "${key}"`);
+    }
+    const count = retention[key];
+    if (!(count >= 0 && Math.floor(count) === count)) {
+      throw new Error(`retention ${key} should be a non-negative integer`);
+    }
+  });
+};
+
+/**
+ * Picks the items kept by a retention policy: the newest item of each period,
+ * for as many periods as the policy keeps, counted separately for each group.
+ * An item kept by any period is kept.
+ *
+ * @param {{time: number, group: string}[]} items
+ * @param {Object} retention - `{last, hourly, daily, weekly, monthly, yearly}`
+ * @return {Set<Object>} - kept items
+ */
+const retain = (items, retention) => {
+  const kept = new Set;
+
+  /** @type {Map<string, {time: number, group: string}[]>} */
+  const groups = new Map;
+  items.forEach((item) => {
+    if (!groups.has(item.group)) {
+      groups.set(item.group, []);
+    }
+    groups.get(item.group).push(item);
+  });
+
+  groups.forEach((list) => {
+    // newest to oldest
+    list.sort((a, b) => b.time - a.time);
+
+    list.slice(0, retention.last || 0).forEach(item => kept.add(item));
+
+    Object.keys(periods).forEach((period) => {
+      const count = retention[period] || 0;
+      let last = null;
+      let buckets = 0;
+      for (let i = 0; i < list.length && buckets < count; i++) {
+        const bucket = periods[period](new Date(list[i].time));
+        if (bucket !== last) {
+          kept.add(list[i]);
+          last = bucket;
+          buckets++;
+        }
+      }
+    });
+  });
+
+  return kept;
+};
+
+module.exports = {
+  validateRetention,
+  retain
+};
@@ -0,0 +1,323 @@
+const monthNames = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const dayNames = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const cronFields = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: monthNames },
+  // 7 is sunday too
+  { name: 'day of week', min: 0, max: 7, names: dayNames }
+];
+
+const cronMacros = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+// setTimeout overflows past ~24.8 days
+const maxDelay = 0x7fffffff;
+
+/**
+ * @param {String} value - number or name of the field
+ * @param {{name: String, min: number, max: number, names: String[]=}} field
+ * @param {String} expr - for the error
+ * @return {number}
+ */
+const parseValue = (value, field, expr) => {
+  const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  const n = index !== -1 ? index + field.min : Number(value);
+  if (!/^\w+$/.test(value) || !Number.isInteger(n) || n < field.min || n > field.max) {
+    throw new Error(`schedule: invalid ${field.name} "${value}" in "${expr}"`);
+  }
+  return n;
+};
+
+/**
+ * @param {String} text - `*`, `5`, `1-5`, `*\/15`, `mon-fri`, or a comma separated list of them
+ * @param {{name: String, min: number, max: number, names: String[]=}} field
+ * @param {String} expr - for the error
+ * @return {Set<number>}
+ */
+const parseField = (text, field, expr) => {
+  const values = new Set;
+  text.split(',').forEach((part) => {
+    const [range, step = '1'] = part.split('/');
+    const every = Number(step);
+    if (!Number.isInteger(every) || every < 1) {
+      throw new Error(`schedule: invalid step "${step}" in "${expr}"`);
+    }
+
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const bounds = range.split('-');
+      from = parseValue(bounds[0], field, expr);
+      if (bounds.length > 1) {
+        to = parseValue(bounds[1], field, expr);
+      } else {
+        // `5/15` goes on to the max
+        to = part.indexOf('/') !== -1 ? field.max : from;
+      }
+      if (bounds.length > 2 || to < from) {
+        throw new Error(`schedule: invalid range "${range}" in "${expr}"`);
+      }
+    }
+    for (let n = from; n <= to; n += every) {
+      values.add(n);
+    }
+  });
+  return values;
+};
+
+/**
+ * @param {String} text - days of the week field
+ * @param {String} expr - for the error
+ * @return {Set<number>} - 0 for sunday
+ */
+const parseWeekdays = (text, expr) => {
+  const weekday = parseField(text, cronFields[4], expr);
+  if (weekday.has(7)) {
+    weekday.delete(7);
+    weekday.add(0);
+  }
+  return weekday;
+};
+
+/**
+ * @param {String} expr - 5 fields cron expression, or a macro like `@daily`
+ * @return {{minute: Set<number>, hour: Set<number>, day: Set<number>, month: Set<number>, weekday: Set<number>,
+ *          anyDay: boolean, anyWeekday: boolean}}
+ */
+const parseCron = (expr) => {
+  const fields = (cronMacros[expr.trim()] || expr).trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error(`schedule: cron expression "${expr}" should have 5 fields`);
+  }
+  const [minute, hour, day, month] = fields.slice(0, 4).map((text, i) => parseField(text, cronFields[i], expr));
+  const weekday = parseWeekdays(fields[4], expr);
+  return { minute, hour, day, month, weekday, anyDay: fields[2] === '*', anyWeekday: fields[4] === '*' };
+};
+
+/**
+ * Like cron, a date matches either its day of month or its day of week when both are restricted.
+ *
+ * @param {Object} cron - parsed
+ * @param {Date} date
+ * @return {boolean}
+ */
+const matchesDay = (cron, date) => {
+  const day = cron.day.has(date.getDate());
+  const weekday = cron.weekday.has(date.getDay());
+  if (!cron.anyDay && !cron.anyWeekday) {
+    return day || weekday;
+  }
+  return day && weekday;
+};
+
+/**
+ * @param {Object} cron - parsed
+ * @param {Date} from
+ * @return {Date|null} - first matching minute after `from`, local time, null if none within years
+ */
+const nextCron = (cron, from) => {
+  const date = new Date(from.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = from.getTime() + 8 * 366 * 24 * 3600 * 1000;
+  while (date.getTime() <= limit) {
+    if (!cron.month.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+};
+
+/**
+ * @param {String} text - `HH:MM`, up to `24:00`
+ * @param {String} expr - for the error
+ * @return {number} - minutes since midnight
+ */
+const parseTime = (text, expr) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text);
+  const minutes = match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  if (!match || Number(match[2]) > 59 || minutes > 24 * 60) {
+    throw new Error(`schedule: invalid time "${text}" in window "${expr}"`);
+  }
+  return minutes;
+};
+
+/**
+ * @param {String} expr - `HH:MM-HH:MM`, optionally after days of the week in cron syntax: `mon-fri 19:00-07:00`
+ * @return {{weekday: Set<number>, start: number, end: number}} - minutes since midnight, a window ending
+ *         before it starts goes on past midnight, days are those it starts on
+ */
+const parseWindow = (expr) => {
+  const parts = expr.trim().split(/\s+/);
+  if (parts.length > 2) {
+    throw new Error(`schedule: window "${expr}" should be "[days] HH:MM-HH:MM"`);
+  }
+  const times = parts[parts.length - 1].split('-');
+  if (times.length !== 2) {
+    throw new Error(`schedule: window "${expr}" should be "[days] HH:MM-HH:MM"`);
+  }
+  const weekday = parseWeekdays(parts.length === 2 ? parts[0] : '*', expr);
+  const start = parseTime(times[0], expr);
+  const end = parseTime(times[1], expr);
+  if (start === end) {
+    throw new Error(`schedule: window "${expr}" is empty`);
+  }
+  return { weekday, start, end };
+};
+
+/**
+ * @param {Date} date
+ * @param {number} days
+ * @return {Date} - midnight, local time
+ */
+const midnight = (date, days = 0) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * When clean cycles run: at cron times or every `interval`, only inside the allowed windows,
+ * with pressure checked on its own interval at any time.
+ * Times are local.
+ */
+class ExpireSchedule {
+  /**
+   * @param {String|String[]=} cron - full cycles run at these times instead of every `interval`
+   * @param {String|String[]=} windows - full cycles run only inside these, e.g. `mon-fri 19:00-07:00`, `sat,sun 00:00-24:00`
+   * @param {number=} [pressureInterval=interval] - milliseconds between pressure checks, at any time, Infinity for none
+   * @param {number} interval - of ExpireFS
+   */
+  constructor({ cron = null, windows = null, pressureInterval }, { interval }) {
+    const list = value => value === null ? [] : [].concat(value);
+    list(cron).concat(list(windows)).forEach((expr) => {
+      if (typeof expr !== 'string') {
+        throw new Error('schedule: cron and windows should be strings');
+      }
+    });
+
+    /**
+     * @type {Object[]}
+     * @private
+     */
+    this._cron = list(cron).map(parseCron);
+    /**
+     * @type {{weekday: Set<number>, start: number, end: number}[]}
+     * @private
+     */
+    this._windows = list(windows).map(parseWindow);
+    this.interval = interval;
+    this.pressureInterval = pressureInterval === undefined ? interval : pressureInterval;
+    if (this.pressureInterval !== Infinity && !(typeof this.pressureInterval === 'number' && this.pressureInterval > 0)) {
+      throw new Error('schedule: pressureInterval should be a positive number');
+    }
+    if (this._cron.length && !this.next(new Date)) {
+      throw new Error(`schedule: cron never runs${this.windowed ? ' inside the windows' : ''}`);
+    }
+  }
+
+  /**
+   * @return {boolean} - full cycles are restricted to windows
+   */
+  get windowed() {
+    return this._windows.length !== 0;
+  }
+
+  /**
+   * @param {Date} date
+   * @return {boolean} - inside a window, or there are none
+   */
+  allows(date) {
+    if (!this.windowed) {
+      return true;
+    }
+    const minutes = date.getHours() * 60 + date.getMinutes() + date.getSeconds() / 60;
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
+    return this._windows.some(({ weekday, start, end }) => {
+      if (start < end) {
+        return weekday.has(today) && minutes >= start && minutes < end;
+      }
+      // past midnight
+      return (weekday.has(today) && minutes >= start) || (weekday.has(yesterday) && minutes < end);
+    });
+  }
+
+  /**
+   * @param {Date} from
+   * @return {Date} - `from` if inside a window, the start of the next one otherwise
+   * @private
+   */
+  _nextAllowed(from) {
+    if (this.allows(from)) {
+      return from;
+    }
+    let next = null;
+    for (let days = 0; days <= 7; days++) {
+      const day = midnight(from, days);
+      this._windows.forEach(({ weekday, start }) => {
+        const at = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, start);
+        if (weekday.has(day.getDay()) && at > from && (!next || at < next)) {
+          next = at;
+        }
+      });
+    }
+    return next;
+  }
+
+  /**
+   * @param {Date} from - end of the previous cycle
+   * @return {Date|null} - next full cycle, null if cron never matches again
+   */
+  next(from) {
+    if (!this._cron.length) {
+      return this._nextAllowed(new Date(from.getTime() + this.interval));
+    }
+
+    let next = null;
+    this._cron.forEach((cron) => {
+      let at = nextCron(cron, from);
+      // jump to the next window, until a cron time falls in one
+      for (let i = 0; at && !this.allows(at) && i < 1000; i++) {
+        at = nextCron(cron, new Date(this._nextAllowed(at).getTime() - 1));
+      }
+      if (at && this.allows(at) && (!next || at < next)) {
+        next = at;
+      }
+    });
+    return next;
+  }
+
+  /**
+   * @return {{aborted: boolean}} - AbortSignal-like, aborted once outside the windows
+   */
+  signal() {
+    const schedule = this;
+    return {
+      get aborted() {
+        return !schedule.allows(new Date);
+      }
+    };
+  }
+}
+
+ExpireSchedule.maxDelay = maxDelay;
+
+module.exports = ExpireSchedule;
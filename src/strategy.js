@@ -0,0 +1,66 @@
+/**
+ * Eviction candidate handed to strategies, a whole group for grouped files:
+ * the stats of the member giving the group its time, with the size of all members
+ * @typedef {{path: string, stats: Stats, rule: ExpireRule, group: string=}} Candidate
+ */
+
+/**
+ * @param {Candidate} c
+ * @param {number} now
+ * @return {number} - milliseconds since the candidate's time, by the timeType of its rule's policy
+ */
+const age = (c, now) => now - c.stats[c.rule.policy(c.path).timeType].getTime();
+
+/**
+ * built-in strategy name -> scoring function, higher scores are evicted first
+ * @type {Object<string, function(Candidate, number):number>}
+ */
+const scores = {
+  oldest: age,
+  atime: (c, now) => now - c.stats.atime.getTime(),
+  largest: c => c.stats.size,
+  'age-size': (c, now) => age(c, now) * c.stats.size,
+};
+
+/**
+ * @param {function(Candidate):number} score
+ * @return {function(Candidate, Candidate):number}
+ */
+const byScore = (score) => {
+  // scoring functions may be costly, called once per candidate
+  const cache = new WeakMap;
+  const get = (c) => {
+    if (!cache.has(c)) {
+      cache.set(c, score(c));
+    }
+    return cache.get(c);
+  };
+  return (a, b) => get(b) - get(a);
+};
+
+/**
+ * Eviction order of a strategy, as an `Array.sort` comparator: negative when `a` is evicted before `b`.
+ *
+ * @param {String|{compare: function(Candidate, Candidate):number}|{score: function(Candidate):number}} strategy
+ *        - oldest, atime, largest, age-size, a comparator or a scoring function (higher is evicted first)
+ * @param {number=} [now=Date.now()] - ages are measured at this time
+ * @return {function(Candidate, Candidate):number}
+ */
+const createStrategy = (strategy, now = Date.now()) => {
+  if (typeof strategy === 'string' && scores.hasOwnProperty(strategy)) {
+    return byScore(c => scores[strategy](c, now));
+  }
+  if (strategy && typeof strategy.compare === 'function') {
+    return strategy.compare;
+  }
+  if (strategy && typeof strategy.score === 'function') {
+    return byScore(strategy.score);
+  }
+  throw new Error(
+    'pressureStrategy should be one of ' + Object.keys(scores).join(', ') + ', {compare} or {score}'
+  );
+};
+
+module.exports = {
+  createStrategy
+};
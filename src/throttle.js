@@ -0,0 +1,64 @@
+/**
+ * @param {number} ms
+ * @param {function():boolean} aborted - polled while waiting, ends the wait early
+ * @return {Promise<boolean>} - false when the wait was aborted
+ */
+const sleep = (ms, aborted) => new Promise((res) => {
+  const until = Date.now() + ms;
+  const tick = () => {
+    const left = until - Date.now();
+    if (left <= 0) {
+      return res(true);
+    }
+    if (aborted()) {
+      return res(false);
+    }
+    setTimeout(tick, Math.min(left, 100));
+  };
+  tick();
+});
+
+/**
+ * @param {*} value
+ * @param {string} name - of the option, for the error
+ * @return {number}
+ */
+const validateRate = (value, name) => {
+  if (value !== Infinity && !(typeof value === 'number' && value > 0)) {
+    throw new Error(`${name} should be a positive number`);
+  }
+  return value;
+};
+
+/**
+ * Spaces out the operations passed to the returned throttle so they average `perSecond` units per second.
+ * Each call books its amount and waits until the amounts booked before it are paid off, there are no bursts.
+ *
+ * @param {number} perSecond - Infinity never waits
+ * @param {function():boolean=} aborted - ends the waits early, the debt booked so far is dropped
+ * @return {function(number=):Promise<void>} - resolves when the operation may start
+ */
+const createThrottle = (perSecond, aborted = () => false) => {
+  if (perSecond === Infinity) {
+    return () => Promise.resolve();
+  }
+
+  // time at which everything booked so far is paid off
+  let next = 0;
+
+  return (amount = 1) => {
+    const now = Date.now();
+    const start = Math.max(now, next);
+    next = start + amount * 1000 / perSecond;
+    return sleep(start - now, aborted).then((done) => {
+      if (!done) {
+        next = Date.now();
+      }
+    });
+  };
+};
+
+module.exports = {
+  createThrottle,
+  validateRate
+};
@@ -0,0 +1,256 @@
+const path = require('path');
+const { IGNORE_FILE } = require('./globs');
+const { OVERRIDE_FILE } = require('./overrides');
+const { LOCK_FILE } = require('./lock');
+
+const noop = () => {};
+
+/**
+ * Limits how many of the functions passed to the returned limiter run at once
+ *
+ * @param {number} concurrency
+ * @return {function(function():*):Promise<*>}
+ */
+const createLimiter = (concurrency) => {
+  let running = 0;
+  const queue = [];
+
+  const next = () => {
+    if (running >= concurrency || !queue.length) {
+      return;
+    }
+    running++;
+    const { fn, res, rej } = queue.shift();
+    Promise.resolve()
+      .then(fn)
+      .then(res, rej)
+      .then(() => {
+        running--;
+        next();
+      });
+  };
+
+  return fn => new Promise((res, rej) => {
+    queue.push({ fn, res, rej });
+    next();
+  });
+};
+
+/**
+ * Walks a folder without keeping the tree in memory.
+ * Directories are not stat'ed when the backend lists entries with their type (the fs backend on node >= 10.10).
+ *
+ * `onFile` and `onDir` may return true when they removed the entry,
+ * so `onDir` of the parent gets how many entries are `remaining` in it.
+ * Excluded entries, ignore files and override files are skipped and count as remaining.
+ *
+ * Once `aborted` returns true, no callback is called anymore. When a callback fails, the walk
+ * rejects only after the callbacks already running have settled.
+ *
+ * @param {string} root
+ * @param {ExpireFsBackend|Object} backend - storage to walk
+ * @param {function(function():*):Promise<*>} limit - from createLimiter
+ * @param {function(string, Stats):(boolean|Promise<boolean>)} onFile
+ * @param {function(string, {entries: number, remaining: number}):(boolean|Promise<boolean>)=} onDir
+ *        - called once all children of a dir were visited, root included
+ * @param {function(string, Error):void=} onError
+ * @param {ExpireGlobs|null=} ignore - excluded paths, extended by the ignore files found while walking
+ * @param {string|null=} lockFile - path of the lock file, skipped wherever it is
+ * @param {function():boolean=} aborted
+ * @param {function():Promise<void>=} statThrottle - awaited before each stat, from createThrottle
+ * @return {Promise<void>}
+ */
+const walk = (root, {
+  backend,
+  limit,
+  onFile,
+  onDir = noop,
+  onError = noop,
+  ignore = null,
+  lockFile = null,
+  aborted = () => false,
+  statThrottle = () => Promise.resolve()
+}) => {
+  const walkDir = async (dirname, ignore) => {
+    if (aborted()) {
+      return false;
+    }
+
+    let list;
+    try {
+      list = await limit(() => backend.list(dirname));
+    } catch (e) {
+      onError(dirname, e);
+      return false;
+    }
+
+    const names = list.map(item => typeof item === 'string' ? item : item.name);
+    if (ignore && names.indexOf(IGNORE_FILE) !== -1) {
+      const filename = path.join(dirname, IGNORE_FILE);
+      try {
+        ignore = ignore.child(dirname, await limit(() => backend.readFile(filename)));
+      } catch (e) {
+        onError(filename, e);
+      }
+    }
+
+    const visit = async (item, i) => {
+      // older node versions ignore withFileTypes, other backends may only list names
+      const dirent = typeof item === 'string' ? null : item;
+      const filename = path.join(dirname, names[i]);
+
+      // ignore, override and lock files are never deleted
+      if ((ignore && names[i] === IGNORE_FILE) || names[i] === OVERRIDE_FILE || names[i] === LOCK_FILE ||
+        filename === lockFile) {
+        return false;
+      }
+
+      // symlinks are followed, like fs.stat does
+      if (dirent && !dirent.isSymbolicLink() && dirent.isDirectory()) {
+        return ignore && ignore.test(filename, true) ? false : walkDir(filename, ignore);
+      }
+
+      let stats;
+      try {
+        await statThrottle();
+        stats = await limit(() => backend.stat(filename));
+      } catch (e) {
+        onError(filename, e);
+        return false;
+      }
+
+      if (ignore && ignore.test(filename, stats.isDirectory())) {
+        return false;
+      }
+      if (stats.isDirectory()) {
+        return walkDir(filename, ignore);
+      }
+      return aborted() ? false : onFile(filename, stats);
+    };
+
+    let error = null;
+    const removed = await Promise.all(list.map((item, i) => visit(item, i).catch((e) => {
+      error = error || e;
+      return false;
+    })));
+    if (error) {
+      throw error;
+    }
+    if (aborted()) {
+      return false;
+    }
+
+    const remaining = list.length - removed.filter(Boolean).length;
+    return onDir(dirname, { entries: list.length, remaining });
+  };
+
+  return walkDir(root, ignore).then(noop);
+};
+
+/**
+ * @param {{time: number}} a
+ * @param {{time: number}} b
+ * @return {number}
+ */
+const byTime = (a, b) => a.time - b.time;
+
+/**
+ * Keeps only the oldest items needed to reach `target` total weight,
+ * so eviction doesn't need every file of the tree in memory.
+ * With `compare`, keeps the items evicted first instead.
+ */
+class OldestSet {
+  /**
+   * @param {number} target
+   * @param {function(Object):number} weight
+   * @param {function(Object, Object):number=} compare - negative when `a` is evicted before `b`, oldest first by default
+   */
+  constructor({ target, weight, compare = byTime }) {
+    this._target = target;
+    this._weight = weight;
+    this._compare = compare;
+    this._sum = 0;
+    /**
+     * max-heap on eviction order, item evicted last on top
+     * @type {Object[]}
+     * @private
+     */
+    this._heap = [];
+  }
+
+  /**
+   * @return {number}
+   */
+  get size() {
+    return this._heap.length;
+  }
+
+  /**
+   * @param {Object} item
+   */
+  add(item) {
+    const heap = this._heap;
+    heap.push(item);
+    this._sum += this._weight(item);
+
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this._compare(heap[parent], heap[i]) >= 0) {
+        break;
+      }
+      [heap[parent], heap[i]] = [heap[i], heap[parent]];
+      i = parent;
+    }
+
+    // item evicted last isn't needed to reach the target
+    while (heap.length && this._sum - this._weight(heap[0]) >= this._target) {
+      this._pop();
+    }
+  }
+
+  /**
+   * @return {Object[]} - evicted last to evicted first, newest to oldest by default
+   */
+  values() {
+    return this._heap.slice().sort((a, b) => this._compare(b, a));
+  }
+
+  /**
+   * @private
+   */
+  _pop() {
+    const heap = this._heap;
+    this._sum -= this._weight(heap[0]);
+
+    const last = heap.pop();
+    if (!heap.length) {
+      return;
+    }
+    heap[0] = last;
+
+    let i = 0;
+    for (;;) {
+      const left = i * 2 + 1;
+      const right = left + 1;
+      let largest = i;
+      if (left < heap.length && this._compare(heap[left], heap[largest]) > 0) {
+        largest = left;
+      }
+      if (right < heap.length && this._compare(heap[right], heap[largest]) > 0) {
+        largest = right;
+      }
+      if (largest === i) {
+        return;
+      }
+      [heap[largest], heap[i]] = [heap[i], heap[largest]];
+      i = largest;
+    }
+  }
+}
+
+module.exports = {
+  createLimiter,
+  walk,
+  OldestSet
+};
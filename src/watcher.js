@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const debug = require('debug');
+const { IGNORE_FILE } = require('./globs');
+const { OVERRIDE_FILE } = require('./overrides');
+
+const debug_watch = debug('expire-fs:watch');
+
+/**
+ * platforms where one recursive watch covers a whole tree, elsewhere every dir takes an inotify watch
+ * @type {boolean}
+ */
+const recursiveWatch = process.platform === 'darwin' || process.platform === 'win32';
+
+/**
+ * codes of `fs.watch` failures caused by the OS limit on watches or open files
+ * @type {Set<string>}
+ */
+const limitErrors = new Set(['ENOSPC', 'EMFILE']);
+
+/**
+ * Keeps a populated ExpireEntry tree in sync with the filesystem
+ * by watching the root recursively where the platform supports it, every directory in it otherwise.
+ *
+ * Emits `limit` with the error when the OS watch limit is reached, it then stops watching at all.
+ */
+class ExpireWatcher extends EventEmitter {
+  /**
+   * @param {ExpireEntry} root - populated tree
+   * @param {boolean=} recursive - one watch for the whole tree, only on macOS and Windows by default
+   */
+  constructor({ root, recursive = recursiveWatch }) {
+    super();
+    this.root = root;
+    this.recursive = recursive;
+
+    /**
+     * set when an event could have been missed, the tree needs a full rescan
+     * @type {boolean}
+     */
+    this.stale = false;
+    /**
+     * set once the OS watch limit was reached, nothing is watched anymore
+     * @type {boolean}
+     */
+    this.limited = false;
+
+    /**
+     * @type {Map<string, fs.FSWatcher>}
+     * @private
+     */
+    this._watchers = new Map;
+    this._queue = Promise.resolve();
+  }
+
+  start() {
+    this._watchTree(this.root);
+  }
+
+  stop() {
+    this._watchers.forEach(w => w.close());
+    this._watchers.clear();
+  }
+
+  /**
+   * @return {Promise<void>} - resolves once all received events are applied to the tree
+   */
+  settled() {
+    return this._queue;
+  }
+
+  /**
+   * @param {ExpireEntry} entry
+   * @private
+   */
+  _watchTree(entry) {
+    if (!entry.stats || !entry.isDir || this.limited) {
+      return;
+    }
+    if (this.recursive) {
+      // the root's watch covers the new dirs too
+      if (entry === this.root) {
+        this._watch(entry.path);
+      }
+      return;
+    }
+    this._watch(entry.path);
+    entry.childrenValues.forEach(c => this._watchTree(c));
+  }
+
+  /**
+   * @param {ExpireEntry} entry
+   * @private
+   */
+  _unwatchTree(entry) {
+    const prefix = entry.path + path.sep;
+    this._watchers.forEach((w, dirname) => {
+      if (dirname === entry.path || dirname.startsWith(prefix)) {
+        w.close();
+        this._watchers.delete(dirname);
+      }
+    });
+  }
+
+  /**
+   * @param {string} dirname
+   * @private
+   */
+  _watch(dirname) {
+    // a dir at the same path could have been removed and recreated, watch the new one
+    if (this._watchers.has(dirname)) {
+      this._watchers.get(dirname).close();
+      this._watchers.delete(dirname);
+    }
+
+    let watcher;
+    try {
+      watcher = fs.watch(
+        dirname,
+        { persistent: false, recursive: this.recursive },
+        (type, filename) => this._onEvent(dirname, filename)
+      );
+    } catch (e) {
+      this._fail(e);
+      return;
+    }
+    watcher.on('error', e => this._fail(e));
+    this._watchers.set(dirname, watcher);
+  }
+
+  /**
+   * @param {string} dirname
+   * @param {string|null} filename - relative to `dirname`, in a subdir for a recursive watch
+   * @private
+   */
+  _onEvent(dirname, filename) {
+    // platform didn't tell what changed
+    if (!filename) {
+      this.stale = true;
+      return;
+    }
+    const changed = path.join(dirname, filename.toString());
+    this._queue = this._queue
+      .then(() => this._sync(path.dirname(changed), path.basename(changed)))
+      .catch(e => this._fail(e));
+  }
+
+  /**
+   * @param {string} filename - absolute path
+   * @return {ExpireEntry|null}
+   * @private
+   */
+  _find(filename) {
+    const relative = path.relative(this.root.path, filename);
+    if (!relative) {
+      return this.root;
+    }
+
+    let entry = this.root;
+    const parts = relative.split(path.sep);
+    for (let i = 0; i < parts.length && entry; i++) {
+      entry = entry.children.get(parts[i]) || null;
+    }
+    return entry;
+  }
+
+  /**
+   * @param {string} dirname
+   * @param {string} name
+   * @return {Promise<void>}
+   * @private
+   */
+  async _sync(dirname, name) {
+    const dir = this._find(dirname);
+    // parent went away in the meantime
+    if (!dir) {
+      return;
+    }
+    // exclusions or policies of the whole subtree may have changed
+    if (name === IGNORE_FILE || name === OVERRIDE_FILE) {
+      debug_watch('ignore or override file changed', path.join(dirname, name));
+      this.stale = true;
+      return;
+    }
+
+    const existing = dir.children.get(name);
+    if (existing) {
+      const wasDir = !!existing.stats && existing.isDir;
+      try {
+        await existing.refresh();
+      } catch (e) {
+        if (e.code !== 'ENOENT') {
+          throw e;
+        }
+        debug_watch('removed', existing.path);
+        this._unwatchTree(existing);
+        dir.children.delete(name);
+        return;
+      }
+
+      if (wasDir === existing.isDir) {
+        debug_watch('changed', existing.path);
+        return;
+      }
+
+      // replaced by an entry of another type
+      this._unwatchTree(existing);
+      dir.children.delete(name);
+    }
+
+    const entry = await dir.addChild(name);
+    if (entry) {
+      debug_watch('added', entry.path);
+      this._watchTree(entry);
+    }
+  }
+
+  /**
+   * @param {Error} e
+   * @private
+   */
+  _fail(e) {
+    this.stale = true;
+    if (limitErrors.has(e.code)) {
+      if (!this.limited) {
+        debug_watch(`watch limit reached, stopped watching: ${e.message || e}`);
+        // a partly watched tree would miss changes anyway, free the watches for others
+        this.limited = true;
+        this.stop();
+        this.emit('limit', e);
+      }
+      return;
+    }
+    debug_watch(`watch failed, full rescan needed: ${e.message || e}`);
+    this.emit('error', e);
+  }
+}
+
+module.exports = ExpireWatcher;
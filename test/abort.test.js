@@ -0,0 +1,86 @@
+const assert = require('assert');
+const ExpireFS = require('../src');
+
+const HOUR = 3600 * 1000;
+
+describe('abort', () => {
+  /**
+   * @param {Object=} options - of ExpireFS
+   * @return {{expire: ExpireFS, backend: ExpireMemoryBackend}} - with 4 expired files
+   */
+  const setup = (options = {}) => {
+    const backend = new ExpireFS.MemoryBackend({ now: Date.UTC(2024, 0, 10) });
+    [4, 3, 2, 1].forEach(hours => backend.writeFile(`/srv/a/f${hours}`, { mtime: backend.now() - (hours + 1) * HOUR }));
+    const expire = new ExpireFS(Object.assign({
+      folder: '/srv/a',
+      backend,
+      expire: HOUR,
+      timeType: 'mtime',
+      dry: false,
+      concurrency: 1,
+      autoStart: false,
+      logger: { info: () => {}, warn: () => {} }
+    }, options));
+    return { expire, backend };
+  };
+
+  const remaining = backend => [4, 3, 2, 1].filter(hours => backend.exists(`/srv/a/f${hours}`)).length;
+
+  /**
+   * @param {Promise} promise
+   * @return {Promise<Error>} - the rejection of promise
+   */
+  const rejection = promise => promise.then(() => assert.fail('should have been aborted'), e => e);
+
+  it('rejects with an AbortError when the signal is already aborted', async () => {
+    const { expire, backend } = setup();
+    const e = await rejection(expire.clean({ signal: { aborted: true } }));
+    assert.strictEqual(e.name, 'AbortError');
+    assert.strictEqual(remaining(backend), 4);
+  });
+
+  it('stops deleting at the next safe point once the signal is aborted', async () => {
+    const { expire, backend } = setup();
+    const signal = { aborted: false };
+    expire.on('delete', () => {
+      signal.aborted = true;
+    });
+
+    const e = await rejection(expire.clean({ signal }));
+    assert.strictEqual(e.name, 'AbortError');
+    assert.strictEqual(remaining(backend), 3);
+    // the next cycle goes on
+    assert.strictEqual((await expire.clean()).length, 3);
+  });
+
+  it('lets stop() wait for the cycle in progress and abort the waiting ones', async () => {
+    const { expire, backend } = setup();
+    let unlink;
+    const removeFile = backend.removeFile;
+    backend.removeFile = function (filename) {
+      return new Promise((res) => {
+        unlink = () => res(removeFile.call(this, filename));
+      });
+    };
+
+    const running = rejection(expire.clean());
+    const waiting = rejection(expire.clean());
+    while (!unlink) {
+      await new Promise(res => setImmediate(res));
+    }
+
+    let stopped = false;
+    const stopping = expire.stop().then(() => {
+      stopped = true;
+    });
+    await new Promise(res => setImmediate(res));
+    // the unlink in progress is not cut short
+    assert.strictEqual(stopped, false);
+    unlink();
+    await stopping;
+
+    assert.strictEqual((await running).name, 'AbortError');
+    assert.strictEqual((await waiting).name, 'AbortError');
+    assert.strictEqual(remaining(backend), 3);
+  });
+});
@@ -0,0 +1,172 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const ExpireArchive = require('../src/archive');
+const ExpireFS = require('../src');
+
+const HOUR = 3600 * 1000;
+
+/**
+ * @param {Buffer} gz - .tar.gz bundle
+ * @return {{name: string, size: number, mtime: number, data: Buffer}[]}
+ */
+const untar = (gz) => {
+  const tar = zlib.gunzipSync(gz);
+  const field = (block, start, length) => block.slice(start, start + length).toString().replace(/\0.*$/s, '');
+  const entries = [];
+  let pax = {};
+  for (let offset = 0; offset + 512 <= tar.length;) {
+    const block = tar.slice(offset, offset + 512);
+    if (block.every(b => b === 0)) {
+      break;
+    }
+    const size = pax.size !== undefined ? Number(pax.size) : parseInt(field(block, 124, 12), 8);
+    const data = tar.slice(offset + 512, offset + 512 + size);
+    offset += 512 + Math.ceil(size / 512) * 512;
+
+    if (field(block, 156, 1) === 'x') {
+      pax = {};
+      data.toString().split('\n').filter(Boolean).forEach((record) => {
+        const [key, value] = record.replace(/^\d+ /, '').split(/=(.*)/);
+        pax[key] = value;
+      });
+      continue;
+    }
+    const prefix = field(block, 345, 155);
+    const name = field(block, 0, 100);
+    entries.push({
+      name: pax.path || (prefix ? `${prefix}/${name}` : name),
+      size,
+      mtime: parseInt(field(block, 136, 12), 8),
+      data
+    });
+    pax = {};
+  }
+  return entries;
+};
+
+/**
+ * @param {string} filename
+ * @param {string|Buffer} content
+ * @param {number=} ageMs - by mtime
+ */
+const write = (filename, content, ageMs = 0) => {
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  fs.writeFileSync(filename, content);
+  const time = new Date(Math.floor((Date.now() - ageMs) / 1000) * 1000);
+  fs.utimesSync(filename, time, time);
+};
+
+describe('archive', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'expire-fs-archive-'));
+  });
+
+  afterEach(() => {
+    fs.rmdirSync(dir, { recursive: true });
+  });
+
+  describe('ExpireArchive', () => {
+    it('writes a tar.gz bundle that reads back', async () => {
+      const big = Buffer.alloc(200 * 1024, 'b');
+      const long = `${'d'.repeat(120)}/${'f'.repeat(120)}.log`;
+      write(path.join(dir, 'data', 'a.txt'), 'hello', HOUR);
+      write(path.join(dir, 'data', 'sub', 'big.bin'), big);
+      write(path.join(dir, 'data', long), 'long name');
+
+      const archive = new ExpireArchive({ file: path.join(dir, 'bundle.tar.gz'), base: path.join(dir, 'data') });
+      for (const name of ['a.txt', 'sub/big.bin', long]) {
+        const filename = path.join(dir, 'data', name);
+        await archive.add(filename, fs.statSync(filename), name);
+      }
+      await archive.commit();
+
+      assert.deepStrictEqual(archive.files.map(f => f.data), ['a.txt', 'sub/big.bin', long]);
+      const entries = untar(fs.readFileSync(archive.file));
+      assert.deepStrictEqual(entries.map(e => e.name), ['a.txt', 'sub/big.bin', long]);
+      assert.strictEqual(entries[0].data.toString(), 'hello');
+      assert.strictEqual(entries[0].mtime, Math.floor(fs.statSync(path.join(dir, 'data', 'a.txt')).mtime.getTime() / 1000));
+      assert.ok(entries[1].data.equals(big));
+      assert.strictEqual(entries[2].data.toString(), 'long name');
+    });
+
+    it('can only be aborted once reading a file failed', async () => {
+      write(path.join(dir, 'data', 'a.txt'), 'hello');
+      fs.mkdirSync(path.join(dir, 'data', 'unreadable'));
+      const archive = new ExpireArchive({ file: path.join(dir, 'bundle.tar.gz'), base: path.join(dir, 'data') });
+
+      await archive.add(path.join(dir, 'data', 'a.txt'), fs.statSync(path.join(dir, 'data', 'a.txt')));
+      // opens, but reading a dir fails after the header was written
+      const stats = Object.assign(fs.statSync(path.join(dir, 'data', 'a.txt')), { size: 1000 });
+      await assert.rejects(archive.add(path.join(dir, 'data', 'unreadable'), stats), /EISDIR/);
+      await assert.rejects(archive.add(path.join(dir, 'data', 'a.txt'), stats), /aborted/);
+      await assert.rejects(archive.commit(), /aborted/);
+
+      await archive.abort();
+      assert.ok(!fs.existsSync(archive.file));
+    });
+  });
+
+  describe('archive option', () => {
+    const read = fs.read;
+
+    afterEach(() => {
+      fs.read = read;
+    });
+
+    const create = () => new ExpireFS({
+      folder: path.join(dir, 'data'),
+      archive: path.join(dir, 'archive'),
+      expire: HOUR,
+      timeType: 'mtime',
+      dry: false,
+      autoStart: false,
+      logger: { info: () => {}, warn: () => {} }
+    });
+
+    it('unlinks files once they are in the bundle', async () => {
+      write(path.join(dir, 'data', 'old.log'), 'old', 2 * HOUR);
+      write(path.join(dir, 'data', 'sub', 'old.log'), 'sub', 2 * HOUR);
+      write(path.join(dir, 'data', 'new.log'), 'new');
+
+      await create().clean();
+
+      assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'data')), ['new.log']);
+      const bundles = fs.readdirSync(path.join(dir, 'archive'));
+      assert.strictEqual(bundles.length, 1);
+      const entries = untar(fs.readFileSync(path.join(dir, 'archive', bundles[0])));
+      assert.deepStrictEqual(
+        entries.map(e => `${e.name}:${e.data}`).sort(),
+        ['old.log:old', 'sub/old.log:sub']
+      );
+    });
+
+    it('keeps every file and no bundle when reading one fails', async () => {
+      write(path.join(dir, 'data', 'a.log'), 'a', 2 * HOUR);
+      write(path.join(dir, 'data', 'b.log'), 'b', 2 * HOUR);
+      write(path.join(dir, 'data', 'c.log'), 'c', 2 * HOUR);
+      let reads = 0;
+      fs.read = function () {
+        const callback = arguments[arguments.length - 1];
+        // the second file fails after its header was written
+        if (++reads === 2) {
+          return process.nextTick(() => callback(Object.assign(new Error('EIO: i/o error, read'), { code: 'EIO' })));
+        }
+        return read.apply(fs, arguments);
+      };
+
+      const expire = create();
+      const errors = [];
+      expire.on('delete-error', e => errors.push(e.error));
+      await assert.rejects(expire.clean(), /aborted/);
+
+      assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'data')).sort(), ['a.log', 'b.log', 'c.log']);
+      assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'archive')), []);
+      assert.ok(errors.length >= 1);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExpireFS = require('../src');
+
+const HOUR = 3600 * 1000;
+
+/**
+ * @param {string} file
+ * @return {Object[]}
+ */
+const records = file => fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+describe('audit log', () => {
+  let dir;
+  let file;
+  let backend;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'expire-fs-audit-'));
+    file = path.join(dir, 'expire.log');
+    backend = new ExpireFS.MemoryBackend({ now: Date.UTC(2024, 0, 10) });
+  });
+
+  afterEach(() => {
+    fs.rmdirSync(dir, { recursive: true });
+  });
+
+  /**
+   * @param {String|Object} audit
+   * @return {ExpireFS}
+   */
+  const create = audit => new ExpireFS({
+    folder: '/srv/a',
+    backend,
+    expire: HOUR,
+    timeType: 'mtime',
+    audit,
+    dry: false,
+    autoStart: false,
+    logger: { info: () => {}, warn: () => {} }
+  });
+
+  it('writes a line for every deletion and a summary for the cycle', async () => {
+    backend.writeFile('/srv/a/old', { size: 10, mtime: backend.now() - 2 * HOUR });
+    backend.writeFile('/srv/a/new', { size: 10, mtime: backend.now() });
+    const expire = create(file);
+
+    await expire.clean();
+    const [deleted, cycle] = records(file);
+
+    assert.strictEqual(deleted.event, 'delete');
+    assert.strictEqual(deleted.path, '/srv/a/old');
+    assert.strictEqual(deleted.size, 10);
+    assert.strictEqual(deleted.reason, 'expire');
+    assert.strictEqual(deleted.action, 'unlink');
+    assert.strictEqual(deleted.time, new Date(backend.now() - 2 * HOUR).toISOString());
+    assert.strictEqual(cycle.event, 'cycle');
+    assert.strictEqual(cycle.files, 1);
+    assert.strictEqual(cycle.bytesFreed, 10);
+  });
+
+  it('rotates the log once it reaches maxSize and keeps maxFiles of them', async () => {
+    const expire = create({ file, maxSize: 600, maxFiles: 2 });
+
+    for (let i = 0; i < 12; i++) {
+      backend.writeFile(`/srv/a/${i}`, { size: 10, mtime: backend.now() - 2 * HOUR });
+      await expire.clean();
+    }
+
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['expire.log', 'expire.log.1', 'expire.log.2']);
+    [file, `${file}.1`, `${file}.2`].forEach((log) => {
+      assert.ok(fs.statSync(log).size <= 600);
+    });
+    // the oldest lines went away with the third rotation
+    const kept = [`${file}.2`, `${file}.1`, file]
+      .map(records)
+      .reduce((all, list) => all.concat(list), [])
+      .filter(record => record.event === 'delete')
+      .map(record => record.path);
+    assert.ok(kept.length < 12);
+    assert.strictEqual(kept[kept.length - 1], '/srv/a/11');
+    assert.deepStrictEqual(kept, kept.slice().sort((a, b) => Number(path.basename(a)) - Number(path.basename(b))));
+  });
+});
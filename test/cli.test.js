@@ -0,0 +1,135 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { main, parseArgs, loadConfig, parseDuration } = require('../src/cli');
+
+/**
+ * @param {Object<string, string>} files - relative path -> content
+ * @param {number} ageMs - of every file, by mtime and atime
+ * @return {string} - temp dir holding them
+ */
+const dirs = [];
+const tree = (files, ageMs = 0) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'expire-fs-cli-'));
+  dirs.push(dir);
+  const time = new Date(Date.now() - ageMs);
+  Object.keys(files).forEach((name) => {
+    const filename = path.join(dir, name);
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+    fs.writeFileSync(filename, files[name]);
+    fs.utimesSync(filename, time, time);
+  });
+  return dir;
+};
+
+/**
+ * @return {{write: function(string), text: string}}
+ */
+const output = () => {
+  const out = { text: '' };
+  out.write = (chunk) => {
+    out.text += chunk;
+  };
+  return out;
+};
+
+describe('cli', () => {
+  after(() => dirs.forEach(dir => fs.rmdirSync(dir, { recursive: true })));
+
+  describe('parseDuration', () => {
+    it('takes milliseconds and unit suffixes', () => {
+      assert.strictEqual(parseDuration(1500), 1500);
+      assert.strictEqual(parseDuration('1500'), 1500);
+      assert.strictEqual(parseDuration('30s'), 30 * 1000);
+      assert.strictEqual(parseDuration('12h'), 12 * 3600 * 1000);
+      assert.strictEqual(parseDuration('7d'), 7 * 24 * 3600 * 1000);
+    });
+
+    it('rejects unknown units', () => {
+      assert.throws(() => parseDuration('3 fortnights'));
+    });
+  });
+
+  describe('parseArgs', () => {
+    it('defaults to the clean command and converts kebab-case flags', () => {
+      const args = parseArgs(['-f', '/srv/a', '--time-type', 'mtime', '--expire=1h', '--max-size', '10M']);
+      assert.strictEqual(args.command, 'clean');
+      assert.deepStrictEqual(args.options, {
+        folder: '/srv/a',
+        timeType: 'mtime',
+        expire: 3600 * 1000,
+        maxSize: 10 * 1024 * 1024
+      });
+    });
+
+    it('reads boolean flags alone, negated, with = or with a separate value', () => {
+      assert.strictEqual(parseArgs(['--dry']).options.dry, true);
+      assert.strictEqual(parseArgs(['--no-dry']).options.dry, false);
+      assert.strictEqual(parseArgs(['--dry=false']).options.dry, false);
+      assert.strictEqual(parseArgs(['--dry', 'false', 'clean']).options.dry, false);
+      assert.strictEqual(parseArgs(['--dry', 'plan']).command, 'plan');
+    });
+
+    it('parses regex and rules values', () => {
+      const { options } = parseArgs(['--filter', '\\.tmp$', '--rules', '[{"folder":"/a","expire":"1d"}]']);
+      assert.ok(options.filter.test('/a/b.tmp'));
+      assert.deepStrictEqual(options.rules, [{ folder: '/a', expire: 24 * 3600 * 1000 }]);
+    });
+
+    it('rejects unknown options and commands', () => {
+      assert.throws(() => parseArgs(['--nope']), /unknown option/);
+      assert.throws(() => parseArgs(['sweep']), /unknown command/);
+      assert.throws(() => parseArgs(['apply']), /apply needs a plan file/);
+      assert.throws(() => parseArgs(['--no-expire']), /cannot be negated/);
+    });
+  });
+
+  describe('loadConfig', () => {
+    it('reads key: value files with comments', () => {
+      const dir = tree({
+        'config.yml': [
+          '# cleaner',
+          'folder: "/srv/a #1" # quoted',
+          'filter: /#\\d+$/',
+          'expire: 1d',
+          'dry: false'
+        ].join('\n')
+      });
+      assert.deepStrictEqual(loadConfig(path.join(dir, 'config.yml')), {
+        folder: '/srv/a #1',
+        filter: /#\d+$/,
+        expire: 24 * 3600 * 1000,
+        dry: false
+      });
+    });
+
+    it('reads JSON files', () => {
+      const dir = tree({ 'config.json': '{"folder": "/srv/a", "max-files": 10}' });
+      assert.deepStrictEqual(loadConfig(path.join(dir, 'config.json')), { folder: '/srv/a', maxFiles: 10 });
+    });
+  });
+
+  describe('main', () => {
+    it('prints the help', async () => {
+      const stdout = output();
+      await main(['--help'], { stdout });
+      assert.ok(/^Usage: expire-fs/.test(stdout.text));
+    });
+
+    it('only reports in dry mode, deletes with --dry false', async () => {
+      const dir = tree({ 'old.tmp': 'x', 'keep.txt': 'x' }, 2 * 3600 * 1000);
+
+      const dry = output();
+      await main(['-f', dir, '--filter', '\\.tmp$', '--expire', '1h', '--time-type', 'mtime'], { stdout: dry });
+      assert.ok(dry.text.indexOf(`would delete ${path.join(dir, 'old.tmp')}`) !== -1);
+      assert.ok(fs.existsSync(path.join(dir, 'old.tmp')));
+
+      const real = output();
+      await main(['-f', dir, '--filter', '\\.tmp$', '--expire', '1h', '--time-type', 'mtime', '--dry', 'false'], { stdout: real });
+      assert.ok(real.text.indexOf(`deleted ${path.join(dir, 'old.tmp')}`) !== -1);
+      assert.ok(!fs.existsSync(path.join(dir, 'old.tmp')));
+      assert.ok(fs.existsSync(path.join(dir, 'keep.txt')));
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const assert = require('assert');
+const ExpireFS = require('../src');
+
+const HOUR = 3600 * 1000;
+
+describe('include and exclude', () => {
+  /**
+   * @param {Object} options - of ExpireFS
+   * @param {function(ExpireMemoryBackend, number)} fill - gets the backend and a time expired for an hour
+   * @return {{expire: ExpireFS, backend: ExpireMemoryBackend, listed: string[]}}
+   */
+  const setup = (options, fill) => {
+    const backend = new ExpireFS.MemoryBackend({ now: Date.UTC(2024, 0, 10) });
+    fill(backend, backend.now() - 2 * HOUR);
+    const listed = [];
+    const list = backend.list;
+    backend.list = function (dirname) {
+      listed.push(dirname);
+      return list.call(this, dirname);
+    };
+    const expire = new ExpireFS(Object.assign({
+      folder: '/srv/a',
+      backend,
+      expire: HOUR,
+      timeType: 'mtime',
+      dry: false,
+      autoStart: false,
+      logger: { info: () => {}, warn: () => {} }
+    }, options));
+    return { expire, backend, listed };
+  };
+
+  const paths = list => list.map(e => e.path).sort();
+
+  [false, true].forEach((stream) => {
+    const suffix = stream ? ', streaming' : '';
+
+    it(`only considers the included files${suffix}`, async () => {
+      const { expire, backend } = setup({ stream, include: ['*.tmp', 'thumbs/**'] }, (mem, old) => {
+        mem.writeFile('/srv/a/a.tmp', { mtime: old });
+        mem.writeFile('/srv/a/a.log', { mtime: old });
+        mem.writeFile('/srv/a/sub/b.tmp', { mtime: old });
+        mem.writeFile('/srv/a/thumbs/x/c.jpg', { mtime: old });
+        mem.writeFile('/srv/a/x/thumbs/d.jpg', { mtime: old });
+      });
+
+      const deleted = (await expire.clean()).filter(e => !e.stats.isDirectory());
+      assert.deepStrictEqual(paths(deleted), ['/srv/a/a.tmp', '/srv/a/sub/b.tmp', '/srv/a/thumbs/x/c.jpg']);
+      assert.ok(backend.exists('/srv/a/a.log'));
+      assert.ok(backend.exists('/srv/a/x/thumbs/d.jpg'));
+    });
+
+    it(`never deletes excluded files and does not scan excluded dirs${suffix}`, async () => {
+      const { expire, backend, listed } = setup({ stream, exclude: ['cache/', '*.log', '!debug.log'] }, (mem, old) => {
+        mem.writeFile('/srv/a/cache/x', { mtime: old });
+        mem.writeFile('/srv/a/a.log', { mtime: old });
+        mem.writeFile('/srv/a/debug.log', { mtime: old });
+        mem.writeFile('/srv/a/a.tmp', { mtime: old });
+      });
+
+      assert.deepStrictEqual(paths(await expire.clean()), ['/srv/a/a.tmp', '/srv/a/debug.log']);
+      assert.ok(backend.exists('/srv/a/cache/x'));
+      assert.ok(backend.exists('/srv/a/a.log'));
+      assert.strictEqual(listed.indexOf('/srv/a/cache'), -1);
+    });
+
+    it(`adds the patterns of nested .expireignore files${suffix}`, async () => {
+      const { expire, backend } = setup({ stream }, (mem, old) => {
+        mem.writeFile('/srv/a/.expireignore', { mtime: old, content: '*.bin\n' });
+        mem.writeFile('/srv/a/sub/.expireignore', { mtime: old, content: '# relative to sub\n!keep.bin\n*.tmp\n' });
+        mem.writeFile('/srv/a/a.bin', { mtime: old });
+        mem.writeFile('/srv/a/a.tmp', { mtime: old });
+        mem.writeFile('/srv/a/sub/b.bin', { mtime: old });
+        mem.writeFile('/srv/a/sub/keep.bin', { mtime: old });
+        mem.writeFile('/srv/a/sub/b.tmp', { mtime: old });
+      });
+
+      assert.deepStrictEqual(paths(await expire.clean()), ['/srv/a/a.tmp', '/srv/a/sub/keep.bin']);
+      ['/srv/a/.expireignore', '/srv/a/sub/.expireignore', '/srv/a/a.bin', '/srv/a/sub/b.bin', '/srv/a/sub/b.tmp']
+        .forEach(filename => assert.ok(backend.exists(filename), filename));
+    });
+  });
+});
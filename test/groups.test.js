@@ -0,0 +1,85 @@
+const assert = require('assert');
+const ExpireFS = require('../src');
+
+const HOUR = 3600 * 1000;
+
+describe('groups', () => {
+  const rule = options => new ExpireFS(Object.assign({
+    folder: '/srv/a',
+    backend: new ExpireFS.MemoryBackend(),
+    autoStart: false
+  }, options)).rules[0];
+
+  it('takes the first capture, or the whole match, of a RegExp', () => {
+    assert.strictEqual(rule({ groupBy: /^(.*\/[^/.]+)\./ }).groupOf('/srv/a/video.mp4.meta'), '/srv/a/video');
+    assert.strictEqual(rule({ groupBy: /^\/srv\/a\/[^/]+/ }).groupOf('/srv/a/b/c'), '/srv/a/b');
+    assert.strictEqual(rule({ groupBy: /\.mp4$/ }).groupOf('/srv/a/notes.txt'), null);
+
+    const retention = rule({ retention: { last: 1, group: /^\/srv\/a\/([^/]+)\// } });
+    assert.strictEqual(retention.retentionGroup('/srv/a/cam1/x.jpg'), 'cam1');
+    assert.strictEqual(retention.retentionGroup('/srv/a/x.jpg'), '');
+  });
+
+  describe('limits', () => {
+    /**
+     * videos with a .meta sidecar, `hours` old, and a loose file
+     * @param {Object} options - of ExpireFS
+     * @return {{expire: ExpireFS, backend: ExpireMemoryBackend}}
+     */
+    const setup = (options) => {
+      const backend = new ExpireFS.MemoryBackend({ now: Date.UTC(2024, 0, 10) });
+      const ago = hours => backend.now() - hours * HOUR;
+      [4, 3, 2, 1].forEach((hours) => {
+        backend.writeFile(`/srv/a/v${hours}.mp4`, { mtime: ago(hours) });
+        backend.writeFile(`/srv/a/v${hours}.meta`, { mtime: ago(hours) });
+      });
+      backend.writeFile('/srv/a/loose.mp4', { mtime: ago(5) });
+      const expire = new ExpireFS(Object.assign({
+        folder: '/srv/a',
+        backend,
+        timeType: 'mtime',
+        filter: /\.mp4$/,
+        groupBy: /^(.*\/[^/.]+)\./,
+        dry: false,
+        autoStart: false,
+        logger: { info: () => {}, warn: () => {} }
+      }, options));
+      return { expire, backend };
+    };
+    const left = backend => ['loose', 'v4', 'v3', 'v2', 'v1']
+      .filter(name => backend.exists(`/srv/a/${name}.mp4`) || backend.exists(`/srv/a/${name}.meta`));
+
+    it('counts a group as one file for maxFiles and removes it whole', async () => {
+      const { expire, backend } = setup({ maxFiles: 2 });
+      const deleted = (await expire.clean()).map(e => e.path).sort();
+
+      assert.deepStrictEqual(deleted, ['/srv/a/loose.mp4', '/srv/a/v3.meta', '/srv/a/v3.mp4', '/srv/a/v4.meta', '/srv/a/v4.mp4']);
+      assert.deepStrictEqual(left(backend), ['v2', 'v1']);
+      assert.ok(backend.exists('/srv/a/v2.meta'));
+    });
+
+    it('keeps or deletes whole groups for retention', async () => {
+      const skipped = [];
+      const { expire, backend } = setup({ retention: { last: 3 } });
+      expire.on('skip', e => skipped.push(`${e.entry.path}:${e.reason}`));
+      const deleted = (await expire.clean()).map(e => e.path).sort();
+
+      assert.deepStrictEqual(deleted, ['/srv/a/loose.mp4', '/srv/a/v4.meta', '/srv/a/v4.mp4']);
+      assert.deepStrictEqual(left(backend), ['v3', 'v2', 'v1']);
+      assert.ok(skipped.indexOf('/srv/a/v3.meta:retention') !== -1);
+    });
+
+    it('plans and applies whole groups', async () => {
+      const { expire, backend } = setup({ maxFiles: 2 });
+      const plan = await expire.plan();
+      assert.strictEqual(plan.items.length, 5);
+
+      // two files fewer, v4 and the loose one are enough
+      backend.removeFile('/srv/a/v1.mp4');
+      backend.removeFile('/srv/a/v1.meta');
+      const { deleted, skipped } = await expire.apply(plan);
+      assert.deepStrictEqual(deleted.map(e => e.path).sort(), ['/srv/a/loose.mp4', '/srv/a/v4.meta', '/srv/a/v4.mp4']);
+      assert.deepStrictEqual(skipped.map(s => `${s.item.path}:${s.cause}`).sort(), ['/srv/a/v3.meta:under-limit', '/srv/a/v3.mp4:under-limit']);
+    });
+  });
+});
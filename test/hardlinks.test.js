@@ -0,0 +1,67 @@
+const assert = require('assert');
+const ExpireFS = require('../src');
+
+const HOUR = 3600 * 1000;
+const K = 4096;
+
+describe('hardlinks', () => {
+  /**
+   * @param {Object} options - of ExpireFS
+   * @param {function(ExpireMemoryBackend, function(number):number)} fill - gets the backend and `ago(hours)`
+   * @return {{expire: ExpireFS, backend: ExpireMemoryBackend}} - on a disk of 10 blocks
+   */
+  const setup = (options, fill) => {
+    const backend = new ExpireFS.MemoryBackend({ now: Date.UTC(2024, 0, 10), capacity: 10 * K });
+    fill(backend, hours => backend.now() - hours * HOUR);
+    const expire = new ExpireFS(Object.assign({
+      folder: '/srv/a',
+      backend,
+      timeType: 'mtime',
+      autoStart: false,
+      logger: { info: () => {}, warn: () => {} }
+    }, options));
+    return { expire, backend };
+  };
+
+  const paths = list => list.map(e => e.path).sort();
+
+  /**
+   * 8 of 10 blocks used, the oldest file has 2 links
+   */
+  const linked = (mem, ago) => {
+    mem.writeFile('/srv/a/old', { size: 2 * K, mtime: ago(6) });
+    mem.link('/srv/a/old', '/srv/a/sub/old.link');
+    mem.writeFile('/srv/a/f2', { size: K, mtime: ago(2) });
+    mem.writeFile('/srv/a/f1', { size: K, mtime: ago(1) });
+    mem.writeFile('/srv/other/big', { size: 4 * K, mtime: ago(1) });
+  };
+
+  it('counts a hardlinked file as freed once with its last link', async () => {
+    // 3 blocks to free, the 2 of old are freed once
+    const { expire } = setup({ pressure: 0.5, dry: true }, linked);
+
+    const planned = paths((await expire.plan()).items.filter(item => item.action !== 'rmdir'));
+    assert.deepStrictEqual(planned, ['/srv/a/f2', '/srv/a/old', '/srv/a/sub/old.link']);
+    assert.deepStrictEqual(paths((await expire.clean()).filter(e => !e.stats.isDirectory())), planned);
+  });
+
+  it('deletes all the links of an evicted file', async () => {
+    const { expire, backend } = setup({ pressure: 0.5, dry: false }, linked);
+
+    const deleted = (await expire.clean()).filter(e => !e.stats.isDirectory());
+    assert.deepStrictEqual(paths(deleted), ['/srv/a/f2', '/srv/a/old', '/srv/a/sub/old.link']);
+    assert.strictEqual(backend.used, 5 * K);
+  });
+
+  it('never evicts a file linked from outside the watched folders', async () => {
+    const { expire, backend } = setup({ pressure: 0.7, dry: false }, (mem, ago) => {
+      linked(mem, ago);
+      mem.link('/srv/a/old', '/srv/other/old');
+    });
+
+    // 1 block to free, deleting old would free nothing
+    assert.deepStrictEqual(paths(await expire.clean()), ['/srv/a/f2']);
+    assert.ok(backend.exists('/srv/a/old'));
+    assert.ok(backend.exists('/srv/a/sub/old.link'));
+  });
+});
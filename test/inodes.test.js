@@ -0,0 +1,56 @@
+const assert = require('assert');
+const ExpireFS = require('../src');
+
+const HOUR = 3600 * 1000;
+
+describe('inode pressure', () => {
+  /**
+   * @param {Object} options - of ExpireFS
+   * @param {ExpireMemoryBackend|Object} backend
+   * @param {string[]} warnings - collects the logged warnings
+   * @return {ExpireFS}
+   */
+  const create = (options, backend, warnings = []) => new ExpireFS(Object.assign({
+    folder: '/srv/a',
+    backend,
+    timeType: 'mtime',
+    dry: false,
+    autoStart: false,
+    logger: { info: () => {}, warn: msg => warnings.push(msg) }
+  }, options));
+
+  const fill = (backend) => {
+    [4, 3, 2, 1].forEach(hours => backend.writeFile(`/srv/a/f${hours}`, { mtime: backend.now() - hours * HOUR }));
+    return backend;
+  };
+
+  it('evicts the oldest files until inode usage is under the limit', async () => {
+    const backend = fill(new ExpireFS.MemoryBackend({ now: Date.UTC(2024, 0, 10), inodes: 10 }));
+    const { files, ffree } = backend.inodeUsage();
+    // two inodes over the limit
+    const expire = create({ inodePressure: (files - ffree - 2) / files }, backend);
+
+    const deleted = (await expire.clean()).map(e => e.path);
+    assert.deepStrictEqual(deleted, ['/srv/a/f4', '/srv/a/f3']);
+  });
+
+  it('warns once when the backend cannot read inode usage', async () => {
+    const backend = fill(new ExpireFS.MemoryBackend({ now: Date.UTC(2024, 0, 10), inodes: 1 }));
+    // like the fs backend before node 18.15
+    backend.inodeUsage = () => null;
+    const warnings = [];
+    const expire = create({ inodePressure: 0.5 }, backend, warnings);
+
+    assert.deepStrictEqual(await expire.clean(), []);
+    assert.deepStrictEqual(await expire.clean(), []);
+    assert.strictEqual(warnings.length, 1);
+    assert.ok(/inodePressure is ignored/.test(warnings[0]));
+  });
+
+  it('needs a backend implementing inodeUsage', () => {
+    const backend = new ExpireFS.MemoryBackend();
+    backend.inodeUsage = undefined;
+    assert.throws(() => create({ inodePressure: 0.5 }, backend), /inodePressure needs a backend implementing inodeUsage/);
+    assert.doesNotThrow(() => create({}, backend));
+  });
+});
@@ -0,0 +1,167 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExpireLock = require('../src/lock');
+const ExpireFS = require('../src');
+
+const quiet = { info: () => {}, warn: () => {} };
+
+describe('lock', () => {
+  let dir;
+  let file;
+  const locks = [];
+
+  /**
+   * @param {Object=} options - of ExpireLock
+   * @return {ExpireLock}
+   */
+  const create = (options = {}) => {
+    const lock = new ExpireLock(Object.assign({ file, logger: quiet }, options));
+    locks.push(lock);
+    return lock;
+  };
+
+  /**
+   * @param {Object} holder - written in the lock file
+   * @param {number} ageMs - by mtime
+   */
+  const writeLock = (holder, ageMs) => {
+    fs.writeFileSync(file, JSON.stringify(holder));
+    const time = new Date(Date.now() - ageMs);
+    fs.utimesSync(file, time, time);
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'expire-fs-lock-'));
+    file = path.join(dir, ExpireLock.LOCK_FILE);
+  });
+
+  afterEach(async () => {
+    await Promise.all(locks.splice(0).map(lock => lock.release()));
+    fs.rmdirSync(dir, { recursive: true });
+  });
+
+  describe('ExpireLock', () => {
+    it('is held by one process at a time', async () => {
+      const first = create();
+      const second = create();
+      assert.strictEqual(await first.acquire(), true);
+      assert.strictEqual(await second.acquire(), false);
+
+      const status = await second.status();
+      assert.strictEqual(status.held, false);
+      assert.strictEqual(status.stale, false);
+      assert.strictEqual(status.holder.pid, process.pid);
+
+      await first.release();
+      assert.ok(!fs.existsSync(file));
+      assert.strictEqual(await second.acquire(), true);
+    });
+
+    it('takes over a lock not touched for stale, or whose process is gone', async () => {
+      writeLock({ pid: process.pid, hostname: 'elsewhere', token: 'old' }, 60 * 1000);
+      assert.strictEqual((await create().status()).stale, true);
+      assert.strictEqual(await create().acquire(), true);
+
+      await locks[1].release();
+      // no process has this pid
+      writeLock({ pid: 0x3fffffff, hostname: os.hostname(), token: 'old' }, 0);
+      assert.strictEqual(await create().acquire(), true);
+    });
+
+    it('leaves a stale lock to one of the processes taking it over at once', async () => {
+      writeLock({ pid: process.pid, hostname: 'elsewhere', token: 'old' }, 60 * 1000);
+      const contenders = [1, 2, 3, 4, 5, 6].map(() => create());
+
+      const acquired = await Promise.all(contenders.map(lock => lock.acquire()));
+      assert.strictEqual(acquired.filter(Boolean).length, 1);
+
+      const winner = contenders[acquired.indexOf(true)];
+      assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).token, winner._token);
+      assert.deepStrictEqual(fs.readdirSync(dir), [ExpireLock.LOCK_FILE]);
+    });
+
+    it('keeps the lock of a process that took it over first', async () => {
+      writeLock({ pid: process.pid, hostname: 'elsewhere', token: 'old' }, 60 * 1000);
+      const first = create();
+      const late = create();
+      // found stale before the first process took it over
+      const found = await late._read();
+      late._read = () => Promise.resolve(found);
+
+      assert.strictEqual(await first.acquire(), true);
+      assert.strictEqual(await late.acquire(), false);
+      assert.strictEqual(JSON.parse(fs.readFileSync(file, 'utf8')).token, first._token);
+      assert.deepStrictEqual(fs.readdirSync(dir), [ExpireLock.LOCK_FILE]);
+    });
+
+    it('finds out on its heartbeat that the lock was taken over', async () => {
+      let lost = 0;
+      const lock = create({ heartbeat: 20, stale: 1000, onLost: () => lost++ });
+      assert.strictEqual(await lock.acquire(), true);
+
+      writeLock({ pid: process.pid, hostname: os.hostname(), token: 'other' }, 0);
+      await new Promise(res => setTimeout(res, 60));
+      assert.strictEqual(lost, 1);
+      assert.strictEqual(lock.held, false);
+      // not ours to remove
+      await lock.release();
+      assert.ok(fs.existsSync(file));
+    });
+  });
+
+  describe('lock option', () => {
+    [false, true].forEach((stream) => {
+      it(`never deletes the lock file wherever it is${stream ? ', streaming' : ''}`, async () => {
+        fs.writeFileSync(path.join(dir, 'a.log'), 'a');
+        // of another process
+        fs.mkdirSync(path.join(dir, 'sub'));
+        fs.writeFileSync(path.join(dir, 'sub', ExpireLock.LOCK_FILE), '{}');
+
+        const expire = new ExpireFS({
+          folder: dir,
+          lock: path.join(dir, 'cleaner.lock'),
+          maxFiles: 0,
+          stream,
+          dry: false,
+          autoStart: false,
+          logger: quiet
+        });
+        const deleted = await expire.clean();
+        await expire.stop();
+
+        assert.deepStrictEqual(deleted.map(e => e.path), [path.join(dir, 'a.log')]);
+        assert.ok(fs.existsSync(path.join(dir, 'sub', ExpireLock.LOCK_FILE)));
+      });
+    });
+
+    it('skips every planned item while another process holds the lock', async () => {
+      fs.writeFileSync(path.join(dir, 'a.log'), 'a');
+      fs.writeFileSync(path.join(dir, 'b.log'), 'b');
+      const cleaner = () => new ExpireFS({
+        folder: dir,
+        lock: true,
+        maxFiles: 0,
+        dry: false,
+        autoStart: false,
+        logger: quiet
+      });
+      const holder = cleaner();
+      const other = cleaner();
+
+      const plan = await other.plan();
+      assert.strictEqual(plan.items.length, 2);
+      // the holder keeps the lock until stop()
+      await holder.clean({ dry: false, pressureOnly: true });
+      assert.strictEqual((await holder.lockStatus()).held, true);
+
+      const { deleted, skipped } = await other.apply(plan);
+      await Promise.all([holder.stop(), other.stop()]);
+
+      assert.deepStrictEqual(deleted, []);
+      assert.deepStrictEqual(skipped.map(s => `${path.basename(s.item.path)}:${s.cause}`).sort(), ['a.log:locked', 'b.log:locked']);
+      assert.ok(fs.existsSync(path.join(dir, 'a.log')));
+    });
+  });
+});
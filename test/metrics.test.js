@@ -0,0 +1,101 @@
+const assert = require('assert');
+const http = require('http');
+const net = require('net');
+const ExpireFS = require('../src');
+
+const HOUR = 3600 * 1000;
+
+/**
+ * @return {Promise<number>} - a port nothing listens on
+ */
+const freePort = () => new Promise((res) => {
+  const server = net.createServer().listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => res(port));
+  });
+});
+
+/**
+ * @param {number} port
+ * @return {Promise<{status: number, body: string}>}
+ */
+const get = port => new Promise((res, rej) => {
+  http.get({ port, host: '127.0.0.1', path: '/metrics' }, (response) => {
+    let body = '';
+    response.on('data', (chunk) => {
+      body += chunk;
+    });
+    response.on('end', () => res({ status: response.statusCode, body }));
+  }).on('error', rej);
+});
+
+describe('metrics', () => {
+  const memory = () => {
+    const backend = new ExpireFS.MemoryBackend({ now: Date.UTC(2024, 0, 10) });
+    backend.writeFile('/srv/a/old', { size: 10, mtime: backend.now() - 2 * HOUR });
+    backend.writeFile('/srv/a/new', { size: 10 });
+    return backend;
+  };
+
+  it('counts the deletions of the cycles', async () => {
+    const expire = new ExpireFS({
+      folder: '/srv/a',
+      backend: memory(),
+      timeType: 'mtime',
+      expire: HOUR,
+      dry: false,
+      autoStart: false
+    });
+    await expire.clean();
+    const text = expire.metrics();
+    assert.ok(/^expire_fs_deleted_files_total\{reason="expire"\} 1$/m.test(text));
+    assert.ok(/^expire_fs_deleted_bytes_total\{reason="expire"\} 10$/m.test(text));
+    assert.ok(/^expire_fs_cycles_total\{result="success"\} 1$/m.test(text));
+  });
+
+  it('serves again after stop() then start()', async () => {
+    const port = await freePort();
+    const warnings = [];
+    const expire = new ExpireFS({
+      folder: '/srv/a',
+      backend: memory(),
+      metrics: port,
+      interval: HOUR,
+      logger: { info: () => {}, warn: msg => warnings.push(msg) }
+    });
+    await new Promise(res => setTimeout(res, 50));
+    assert.strictEqual((await get(port)).status, 200);
+
+    // restarted before the deferred close of stop()
+    const stopped = expire.stop();
+    expire.start();
+    await stopped;
+    await new Promise(res => setTimeout(res, 50));
+    assert.strictEqual((await get(port)).status, 200);
+    assert.deepStrictEqual(warnings, []);
+
+    await expire.stop();
+    await assert.rejects(get(port), /ECONNREFUSED/);
+  });
+
+  it('warns without error listeners when the port is taken', async () => {
+    const port = await freePort();
+    const taken = http.createServer().listen(port, '127.0.0.1');
+    await new Promise(res => taken.once('listening', res));
+
+    const warnings = [];
+    const expire = new ExpireFS({
+      folder: '/srv/a',
+      backend: memory(),
+      metrics: port,
+      interval: HOUR,
+      logger: { info: () => {}, warn: msg => warnings.push(msg) }
+    });
+    await new Promise(res => setTimeout(res, 50));
+    await expire.stop();
+    await new Promise(res => taken.close(res));
+
+    assert.strictEqual(warnings.length, 1);
+    assert.ok(/EADDRINUSE/.test(warnings[0]));
+  });
+});
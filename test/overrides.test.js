@@ -0,0 +1,31 @@
+const assert = require('assert');
+const { parseOverrides, parseRegExp } = require('../src/overrides');
+
+describe('overrides', () => {
+  describe('parseRegExp', () => {
+    it('takes sources, /literals/ and RegExps', () => {
+      assert.deepStrictEqual(parseRegExp('\\.tmp$'), /\.tmp$/);
+      assert.deepStrictEqual(parseRegExp('/\\.TMP$/i'), /\.TMP$/i);
+      const regex = /a/;
+      assert.strictEqual(parseRegExp(regex), regex);
+      assert.throws(() => parseRegExp('('));
+    });
+  });
+
+  describe('parseOverrides', () => {
+    it('parses the known keys', () => {
+      assert.deepStrictEqual(
+        parseOverrides('{"expire": null, "minimumAge": 1000, "filter": "/\\\\.log$/i", "timeType": "mtime", "pressure": false}'),
+        { expire: Infinity, minimumAge: 1000, filter: /\.log$/i, timeType: 'mtime', pressure: false }
+      );
+    });
+
+    it('rejects unknown keys and invalid values', () => {
+      assert.throws(() => parseOverrides('[]'), /should be a JSON object/);
+      assert.throws(() => parseOverrides('{"maxSize": 1}'), /unknown override "maxSize"/);
+      assert.throws(() => parseOverrides('{"expire": -1}'), /expire should be/);
+      assert.throws(() => parseOverrides('{"filter": 1}'), /filter should be a regex string/);
+      assert.throws(() => parseOverrides('{"timeType": "btime"}'), /timeType should be one of/);
+    });
+  });
+});
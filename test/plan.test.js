@@ -0,0 +1,156 @@
+const assert = require('assert');
+const ExpireFS = require('../src');
+
+const HOUR = 3600 * 1000;
+const K = 4096;
+
+/**
+ * @param {Object} options - of ExpireFS
+ * @param {function(ExpireMemoryBackend, function(number):number)} fill - gets the backend and `ago(hours)`
+ * @param {Object=} backendOptions
+ * @return {{expire: ExpireFS, backend: ExpireMemoryBackend}}
+ */
+const setup = (options, fill, backendOptions = {}) => {
+  const backend = new ExpireFS.MemoryBackend(Object.assign({ now: Date.UTC(2024, 0, 10) }, backendOptions));
+  fill(backend, hours => backend.now() - hours * HOUR);
+  const expire = new ExpireFS(Object.assign({
+    folder: '/srv/a',
+    backend,
+    timeType: 'mtime',
+    autoStart: false,
+    logger: { info: () => {}, warn: () => {} }
+  }, options));
+  return { expire, backend };
+};
+
+const paths = list => list.map(e => e.path || e.item.path).sort();
+const causes = skipped => skipped.map(s => `${s.item.path}:${s.cause}`).sort();
+
+describe('plan and apply', () => {
+  it('plans without deleting and describes the items', async () => {
+    const { expire, backend } = setup({ expire: HOUR, dry: false }, (mem, ago) => {
+      mem.writeFile('/srv/a/old', { size: 10, mtime: ago(3) });
+      mem.writeFile('/srv/a/new', { size: 10, mtime: ago(0) });
+    });
+    const plan = await expire.plan();
+
+    assert.ok(backend.exists('/srv/a/old'));
+    assert.strictEqual(plan.items.length, 1);
+    const [item] = plan.items;
+    assert.strictEqual(item.path, '/srv/a/old');
+    assert.strictEqual(item.reason, 'expire');
+    assert.strictEqual(item.expiredBy, 2 * HOUR);
+    assert.strictEqual(item.description, `expired by ${2 * HOUR} ms`);
+    assert.deepStrictEqual(plan.totals.reasons.expire, { files: 1, dirs: 0, bytes: 10 });
+  });
+
+  it('skips the items that changed or went away since the plan', async () => {
+    const { expire, backend } = setup({ expire: HOUR }, (mem, ago) => {
+      mem.writeFile('/srv/a/gone', { mtime: ago(3) });
+      mem.writeFile('/srv/a/touched', { mtime: ago(3) });
+      mem.writeFile('/srv/a/still', { mtime: ago(3) });
+    });
+    const plan = JSON.parse(JSON.stringify(await expire.plan()));
+
+    backend.removeFile('/srv/a/gone');
+    backend.writeFile('/srv/a/touched', { size: 5, mtime: backend.now() });
+    const { deleted, skipped } = await expire.apply(plan);
+
+    assert.deepStrictEqual(paths(deleted), ['/srv/a/still']);
+    assert.deepStrictEqual(causes(skipped), ['/srv/a/gone:missing', '/srv/a/touched:changed']);
+  });
+
+  it('rejects what plan() did not make', async () => {
+    const { expire } = setup({}, () => {});
+    await assert.rejects(expire.apply({ items: [] }), /should be an object returned by plan/);
+  });
+
+  describe('limits', () => {
+    it('stops evicting for maxFiles once the folder is under it', async () => {
+      const { expire, backend } = setup({ maxFiles: 2 }, (mem, ago) => {
+        [5, 4, 3, 2].forEach(hours => mem.writeFile(`/srv/a/f${hours}`, { mtime: ago(hours) }));
+      });
+      const plan = await expire.plan();
+      assert.deepStrictEqual(paths(plan.items), ['/srv/a/f4', '/srv/a/f5']);
+
+      // someone else removed a file meanwhile
+      backend.removeFile('/srv/a/f2');
+      const { deleted, skipped } = await expire.apply(plan);
+      assert.deepStrictEqual(paths(deleted), ['/srv/a/f5']);
+      assert.deepStrictEqual(causes(skipped), ['/srv/a/f4:under-limit']);
+    });
+
+    it('stops evicting for maxSize once the folder is under it', async () => {
+      const { expire, backend } = setup({ maxSize: 25 }, (mem, ago) => {
+        [4, 3, 2, 1].forEach(hours => mem.writeFile(`/srv/a/f${hours}`, { size: 10, mtime: ago(hours) }));
+      });
+      const plan = await expire.plan();
+      assert.deepStrictEqual(paths(plan.items), ['/srv/a/f3', '/srv/a/f4']);
+
+      backend.writeFile('/srv/a/f1', { size: 1, mtime: backend.now() });
+      const { deleted, skipped } = await expire.apply(plan);
+      assert.deepStrictEqual(paths(deleted), ['/srv/a/f4']);
+      assert.deepStrictEqual(causes(skipped), ['/srv/a/f3:under-limit']);
+    });
+
+    it('skips pressure evictions once the disk is no longer under pressure', async () => {
+      const { expire, backend } = setup({ pressure: 0.5 }, (mem, ago) => {
+        [4, 3, 2, 1].forEach(hours => mem.writeFile(`/srv/a/f${hours}`, { size: K, mtime: ago(hours) }));
+        mem.writeFile('/srv/other/big', { size: 2 * K, mtime: ago(1) });
+      }, { capacity: 8 * K });
+      const plan = await expire.plan();
+      // 6 of 8 blocks used, 2 to free
+      assert.deepStrictEqual(paths(plan.items), ['/srv/a/f3', '/srv/a/f4']);
+
+      backend.removeFile('/srv/other/big');
+      const { deleted, skipped } = await expire.apply(plan);
+      assert.deepStrictEqual(deleted, []);
+      assert.deepStrictEqual(causes(skipped), ['/srv/a/f3:no-pressure', '/srv/a/f4:no-pressure']);
+    });
+
+    it('frees only what pressure still needs', async () => {
+      const { expire, backend } = setup({ pressure: 0.5 }, (mem, ago) => {
+        [4, 3, 2, 1].forEach(hours => mem.writeFile(`/srv/a/f${hours}`, { size: K, mtime: ago(hours) }));
+        mem.writeFile('/srv/other/big', { size: 2 * K, mtime: ago(1) });
+      }, { capacity: 8 * K });
+      const plan = await expire.plan();
+
+      backend.writeFile('/srv/other/big', { size: K, mtime: backend.now() });
+      const { deleted, skipped } = await expire.apply(plan);
+      assert.deepStrictEqual(paths(deleted), ['/srv/a/f4']);
+      assert.deepStrictEqual(causes(skipped), ['/srv/a/f3:no-pressure']);
+    });
+
+    it('keeps what retention keeps now', async () => {
+      const { expire, backend } = setup({ retention: { last: 1 } }, (mem, ago) => {
+        [3, 2, 1].forEach(hours => mem.writeFile(`/srv/a/f${hours}`, { mtime: ago(hours) }));
+      });
+      const plan = await expire.plan();
+      assert.deepStrictEqual(paths(plan.items), ['/srv/a/f2', '/srv/a/f3']);
+
+      // the kept file is gone, the newest planned one is kept instead
+      backend.removeFile('/srv/a/f1');
+      const { deleted, skipped } = await expire.apply(plan);
+      assert.deepStrictEqual(paths(deleted), ['/srv/a/f3']);
+      assert.deepStrictEqual(causes(skipped), ['/srv/a/f2:retained']);
+    });
+
+    it('deletes or keeps a group whole', async () => {
+      const { expire, backend } = setup({ maxSize: 15, groupBy: /^(.*\/[^/.]+)\./ }, (mem, ago) => {
+        mem.writeFile('/srv/a/old.mp4', { size: 10, mtime: ago(4) });
+        mem.writeFile('/srv/a/old.meta', { size: 1, mtime: ago(4) });
+        mem.writeFile('/srv/a/mid.mp4', { size: 10, mtime: ago(3) });
+        mem.writeFile('/srv/a/mid.meta', { size: 1, mtime: ago(3) });
+        mem.writeFile('/srv/a/new.mp4', { size: 10, mtime: ago(1) });
+      });
+      const plan = await expire.plan();
+      assert.deepStrictEqual(paths(plan.items), ['/srv/a/mid.meta', '/srv/a/mid.mp4', '/srv/a/old.meta', '/srv/a/old.mp4']);
+
+      // 7 bytes over the limit once new.mp4 is gone, the old group is enough
+      backend.removeFile('/srv/a/new.mp4');
+      const { deleted, skipped } = await expire.apply(plan);
+      assert.deepStrictEqual(paths(deleted), ['/srv/a/old.meta', '/srv/a/old.mp4']);
+      assert.deepStrictEqual(causes(skipped), ['/srv/a/mid.meta:under-limit', '/srv/a/mid.mp4:under-limit']);
+    });
+  });
+});
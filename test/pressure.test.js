@@ -0,0 +1,159 @@
+const assert = require('assert');
+const ExpireFS = require('../src');
+
+const HOUR = 3600 * 1000;
+const K = 4096;
+
+describe('pressure', () => {
+  /**
+   * @param {Object} options - of ExpireFS
+   * @param {ExpireMemoryBackend} backend
+   * @return {ExpireFS}
+   */
+  const create = (options, backend) => new ExpireFS(Object.assign({
+    folder: '/srv/a',
+    backend,
+    timeType: 'mtime',
+    dry: false,
+    autoStart: false,
+    logger: { info: () => {}, warn: () => {} }
+  }, options));
+
+  describe('pressureStrategy', () => {
+    /**
+     * @return {ExpireMemoryBackend} - a disk of 100 blocks, emptied by a 0.1% pressure
+     */
+    const fill = () => {
+      const backend = new ExpireFS.MemoryBackend({ now: Date.UTC(2024, 0, 10), capacity: 100 * K });
+      const ago = hours => backend.now() - hours * HOUR;
+      backend.writeFile('/srv/a/a', { size: K, mtime: ago(4), atime: ago(1) });
+      backend.writeFile('/srv/a/b', { size: 3 * K, mtime: ago(3), atime: ago(4) });
+      backend.writeFile('/srv/a/c', { size: 2 * K, mtime: ago(1), atime: ago(3) });
+      return backend;
+    };
+
+    const orders = {
+      oldest: ['a', 'b', 'c'],
+      atime: ['b', 'c', 'a'],
+      largest: ['b', 'c', 'a'],
+      // 1K·4h, 3K·3h and 2K·1h
+      'age-size': ['b', 'a', 'c']
+    };
+    Object.keys(orders).forEach((strategy) => {
+      it(`evicts by ${strategy}`, async () => {
+        const expire = create({ pressure: 0.001, pressureStrategy: strategy }, fill());
+        const deleted = (await expire.clean()).map(e => e.path);
+        assert.deepStrictEqual(deleted, orders[strategy].map(name => `/srv/a/${name}`));
+      });
+    });
+
+    it('evicts by a custom compare', async () => {
+      const compare = (a, b) => b.path.localeCompare(a.path);
+      const expire = create({ pressure: 0.001, pressureStrategy: { compare } }, fill());
+      const deleted = (await expire.clean()).map(e => e.path);
+      assert.deepStrictEqual(deleted, ['/srv/a/c', '/srv/a/b', '/srv/a/a']);
+    });
+
+    it('evicts the highest score first and hands files with their rule', async () => {
+      const seen = [];
+      const score = (file) => {
+        seen.push(file.rule.folder);
+        return -file.stats.size;
+      };
+      const expire = create({ pressure: 0.001, pressureStrategy: { score } }, fill());
+      const deleted = (await expire.clean()).map(e => e.path);
+      assert.deepStrictEqual(deleted, ['/srv/a/a', '/srv/a/c', '/srv/a/b']);
+      assert.ok(seen.length > 0 && seen.every(folder => folder === '/srv/a'));
+    });
+
+    it('stops once usage is under the limit', async () => {
+      // 6 of 100 blocks used, 2 to free
+      const expire = create({ pressure: 0.04, pressureStrategy: 'largest' }, fill());
+      const deleted = (await expire.clean()).map(e => e.path);
+      assert.deepStrictEqual(deleted, ['/srv/a/b']);
+    });
+  });
+
+  describe('watermarks', () => {
+    /**
+     * @return {ExpireMemoryBackend} - a disk of 10 blocks, 8 used
+     */
+    const fill = () => {
+      const backend = new ExpireFS.MemoryBackend({ now: Date.UTC(2024, 0, 10), capacity: 10 * K });
+      [6, 5, 4, 3, 2, 1].forEach(hours => backend.writeFile(`/srv/a/f${hours}`, { size: K, mtime: backend.now() - hours * HOUR }));
+      backend.writeFile('/srv/other/big', { size: 2 * K });
+      return backend;
+    };
+
+    /**
+     * @param {ExpireFS} expire
+     * @return {Array[]} - the pressure and delete events, as they are emitted
+     */
+    const record = (expire) => {
+      const events = [];
+      ['pressure-start', 'pressure-end', 'pressure-unsatisfied'].forEach((name) => {
+        // usage to the percent, as it comes from a division
+        expire.on(name, payload => events.push([name, Object.assign({}, payload, { usage: Math.round(payload.usage * 100) / 100 })]));
+      });
+      expire.on('delete', ({ entry }) => events.push(['delete', entry.path]));
+      return events;
+    };
+
+    const options = { pressureHigh: 0.8, pressureLow: 0.3, minimumAge: 2.5 * HOUR };
+
+    it('emits pressure-start, pressure-unsatisfied then pressure-end', async () => {
+      const backend = fill();
+      const expire = create(options, backend);
+      const events = record(expire);
+
+      await expire.clean();
+      assert.deepStrictEqual(events, [
+        ['pressure-start', { path: '/srv/a', usage: 0.8 }],
+        ['delete', '/srv/a/f6'],
+        ['delete', '/srv/a/f5'],
+        ['delete', '/srv/a/f4'],
+        ['delete', '/srv/a/f3'],
+        // f2 and f1 are younger than minimumAge, a block short of pressureLow
+        ['pressure-unsatisfied', { path: '/srv/a', usage: 0.4, toFree: K }]
+      ]);
+
+      events.splice(0);
+      backend.removeFile('/srv/other/big');
+      assert.deepStrictEqual(await expire.clean(), []);
+      assert.deepStrictEqual(events, [['pressure-end', { path: '/srv/a', usage: 0.2 }]]);
+    });
+
+    it('keeps evicting under pressureHigh until pressureLow is reached', async () => {
+      const backend = fill();
+      const expire = create(options, backend);
+      const events = record(expire);
+
+      await expire.clean();
+      events.splice(0);
+      // 4 of 10 blocks used, and f2 old enough by now
+      backend.advance(HOUR);
+
+      await expire.clean();
+      assert.deepStrictEqual(events, [
+        ['delete', '/srv/a/f2'],
+        ['pressure-end', { path: '/srv/a', usage: 0.3 }]
+      ]);
+    });
+
+    it('ignores minimumAge over criticalPressure', async () => {
+      const expire = create(Object.assign({ criticalPressure: 0.8 }, options), fill());
+      const events = record(expire);
+
+      await expire.clean();
+      assert.deepStrictEqual(events, [
+        ['pressure-start', { path: '/srv/a', usage: 0.8 }],
+        ['delete', '/srv/a/f6'],
+        ['delete', '/srv/a/f5'],
+        ['delete', '/srv/a/f4'],
+        ['delete', '/srv/a/f3'],
+        ['delete', '/srv/a/f2'],
+        ['pressure-end', { path: '/srv/a', usage: 0.3 }]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const assert = require('assert');
+const ExpireSchedule = require('../src/schedule');
+const ExpireFS = require('../src');
+
+const HOUR = 3600 * 1000;
+
+/**
+ * @param {String|String[]|null} cron
+ * @param {String|String[]|null} windows
+ * @param {number=} interval
+ * @return {ExpireSchedule}
+ */
+const schedule = (cron, windows = null, interval = HOUR) => new ExpireSchedule({ cron, windows }, { interval });
+
+// local time, 2024-01-01 is a monday
+const at = (day, hours = 0, minutes = 0) => new Date(2024, 0, day, hours, minutes);
+
+describe('ExpireSchedule', () => {
+  describe('cron', () => {
+    it('runs at the next matching minute', () => {
+      const s = schedule('*/15 9-17 * * mon-fri');
+      assert.deepStrictEqual(s.next(at(2, 9, 0)), at(2, 9, 15));
+      assert.deepStrictEqual(s.next(at(2, 9, 7)), at(2, 9, 15));
+      // friday evening goes on to monday morning
+      assert.deepStrictEqual(s.next(at(5, 17, 50)), at(8, 9, 0));
+    });
+
+    it('takes macros, month names and 7 for sunday', () => {
+      assert.deepStrictEqual(schedule('@daily').next(at(5, 10)), at(6));
+      assert.deepStrictEqual(schedule('@hourly').next(at(5, 10, 30)), at(5, 11));
+      assert.deepStrictEqual(schedule('@weekly').next(at(1)), at(7));
+      assert.deepStrictEqual(schedule('0 0 * * 7').next(at(1)), at(7));
+      assert.deepStrictEqual(schedule('0 0 1 FEB *').next(at(1)), new Date(2024, 1, 1));
+      assert.deepStrictEqual(schedule('30 2 5/10 * *').next(at(6)), at(15, 2, 30));
+    });
+
+    it('matches the day of month or the day of week when both are set', () => {
+      const s = schedule('0 0 13 * fri');
+      const runs = [];
+      for (let from = at(1); runs.length < 3;) {
+        from = s.next(from);
+        runs.push(from.getDate());
+      }
+      assert.deepStrictEqual(runs, [5, 12, 13]);
+    });
+
+    it('runs at the earliest of several expressions', () => {
+      assert.deepStrictEqual(schedule(['0 3 * * *', '30 1 * * *']).next(at(1, 2)), at(1, 3));
+      assert.deepStrictEqual(schedule(['0 3 * * *', '30 1 * * *']).next(at(1, 4)), at(2, 1, 30));
+    });
+
+    it('rejects malformed expressions', () => {
+      assert.throws(() => schedule('* * *'), /should have 5 fields/);
+      assert.throws(() => schedule('60 * * * *'), /invalid minute "60"/);
+      assert.throws(() => schedule('* * * * funday'), /invalid day of week "funday"/);
+      assert.throws(() => schedule('*/0 * * * *'), /invalid step "0"/);
+      assert.throws(() => schedule('5-1 * * * *'), /invalid range "5-1"/);
+      assert.throws(() => schedule(5), /should be strings/);
+    });
+
+    it('rejects expressions that never run', () => {
+      assert.throws(() => schedule('0 0 31 feb *'), /cron never runs$/);
+      assert.throws(() => schedule('0 12 * * mon', 'sat,sun 00:00-24:00'), /cron never runs inside the windows/);
+    });
+  });
+
+  describe('windows', () => {
+    it('allows the times inside a window, across midnight too', () => {
+      const s = schedule(null, 'mon-fri 19:00-07:00');
+      assert.ok(s.windowed);
+      assert.ok(s.allows(at(5, 23)));
+      // friday's window ends on saturday
+      assert.ok(s.allows(at(6, 6, 59)));
+      assert.ok(!s.allows(at(6, 7)));
+      assert.ok(!s.allows(at(6, 20)));
+      // no window started on sunday
+      assert.ok(!s.allows(at(8, 6)));
+      assert.ok(s.allows(at(8, 19)));
+      assert.ok(!s.allows(at(8, 18, 59)));
+    });
+
+    it('allows anything without windows', () => {
+      assert.ok(!schedule(null).windowed);
+      assert.ok(schedule(null).allows(at(6, 3)));
+    });
+
+    it('moves interval cycles to the next window', () => {
+      const s = schedule(null, '22:00-06:00');
+      assert.deepStrictEqual(s.next(at(5, 12)), at(5, 22));
+      assert.deepStrictEqual(s.next(at(5, 23, 30)), at(6, 0, 30));
+      assert.deepStrictEqual(s.next(at(6, 5, 30)), at(6, 22));
+    });
+
+    it('runs cron times inside the windows only', () => {
+      const s = schedule('0 * * * *', ['sat,sun 00:00-24:00', 'wed 12:00-13:00']);
+      assert.deepStrictEqual(s.next(at(1, 10)), at(3, 12));
+      assert.deepStrictEqual(s.next(at(3, 12)), at(6, 0));
+      assert.deepStrictEqual(s.next(at(7, 23)), at(10, 12));
+    });
+
+    it('rejects malformed windows', () => {
+      assert.throws(() => schedule(null, '19:00'), /should be "\[days\] HH:MM-HH:MM"/);
+      assert.throws(() => schedule(null, 'mon fri 19:00-20:00'), /should be "\[days\] HH:MM-HH:MM"/);
+      assert.throws(() => schedule(null, '19:60-20:00'), /invalid time "19:60"/);
+      assert.throws(() => schedule(null, '19:00-24:01'), /invalid time "24:01"/);
+      assert.throws(() => schedule(null, '10:00-10:00'), /is empty/);
+    });
+  });
+
+  it('checks pressure on the interval unless told otherwise', () => {
+    assert.strictEqual(schedule(null).pressureInterval, HOUR);
+    assert.strictEqual(new ExpireSchedule({ pressureInterval: Infinity }, { interval: HOUR }).pressureInterval, Infinity);
+    assert.throws(() => new ExpireSchedule({ pressureInterval: 0 }, { interval: HOUR }), /pressureInterval should be a positive number/);
+  });
+});
+
+describe('scheduled cycles', () => {
+  /**
+   * @param {Object} logger
+   * @return {ExpireFS} - whose cycles fail, every 10ms once started
+   */
+  const failing = (logger) => {
+    const backend = new ExpireFS.MemoryBackend();
+    backend.mkdir('/srv/a');
+    backend.diskUsage = () => {
+      throw new Error('statfs failed');
+    };
+    return new ExpireFS({ folder: '/srv/a', backend, pressure: 0.5, interval: 10, autoStart: false, logger });
+  };
+
+  /**
+   * @param {function():boolean} done
+   * @return {Promise<void>} - once done, or after a second
+   */
+  const until = async (done) => {
+    for (let i = 0; i < 200 && !done(); i++) {
+      await new Promise(res => setTimeout(res, 5));
+    }
+  };
+
+  it('emits the errors of failed cycles to the error listeners', async () => {
+    const errors = [];
+    const expire = failing({ info: () => {}, warn: () => {}, error: msg => errors.push(msg) });
+    const emitted = [];
+    expire.on('error', e => emitted.push(e));
+
+    expire.start();
+    await until(() => emitted.length > 0);
+    await expire.stop();
+    assert.strictEqual(emitted[0].message, 'statfs failed');
+    assert.deepStrictEqual(errors, []);
+  });
+
+  it('logs them without error listeners and keeps scheduling', async () => {
+    const errors = [];
+    const expire = failing({ info: () => {}, warn: () => {}, error: msg => errors.push(msg) });
+
+    expire.start();
+    await until(() => errors.length > 1);
+    await expire.stop();
+    assert.strictEqual(errors[0], 'scheduled clean cycle failed: statfs failed');
+  });
+
+  it('logs them as warnings with a logger without error', async () => {
+    const warnings = [];
+    const expire = failing({ info: () => {}, warn: msg => warnings.push(msg) });
+
+    expire.start();
+    await until(() => warnings.length > 0);
+    await expire.stop();
+    assert.strictEqual(warnings[0], 'scheduled clean cycle failed: statfs failed');
+  });
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const { createThrottle, validateRate } = require('../src/throttle');
+const ExpireFS = require('../src');
+
+const HOUR = 3600 * 1000;
+
+describe('throttle', () => {
+  describe('createThrottle', () => {
+    it('spaces out the booked amounts', async () => {
+      const throttle = createThrottle(100);
+      const start = Date.now();
+      await Promise.all([1, 1, 3].map(amount => throttle(amount)));
+      // 10ms + 10ms booked before the last call
+      assert.ok(Date.now() - start >= 18);
+      await throttle();
+      assert.ok(Date.now() - start >= 45);
+    });
+
+    it('never waits when unlimited', async () => {
+      const throttle = createThrottle(Infinity);
+      const start = Date.now();
+      await Promise.all(Array.from({ length: 1000 }, () => throttle(1e9)));
+      assert.ok(Date.now() - start < 50);
+    });
+
+    it('stops waiting once aborted', async () => {
+      let aborted = false;
+      const throttle = createThrottle(1, () => aborted);
+      await throttle();
+      const start = Date.now();
+      setTimeout(() => {
+        aborted = true;
+      }, 20);
+      await throttle();
+      assert.ok(Date.now() - start < 500);
+    });
+  });
+
+  describe('validateRate', () => {
+    it('rejects what is not a positive number', () => {
+      assert.strictEqual(validateRate(5, 'maxDeletesPerSecond'), 5);
+      assert.throws(() => validateRate(0, 'maxDeletesPerSecond'), /maxDeletesPerSecond/);
+      assert.throws(() => validateRate('5', 'maxDeletesPerSecond'), /maxDeletesPerSecond/);
+    });
+  });
+
+  describe('maxDeletesPerSecond', () => {
+    it('paces empty dirs like files', async () => {
+      const backend = new ExpireFS.MemoryBackend();
+      ['/srv/a/e1', '/srv/a/e2', '/srv/a/e3'].forEach(dirname => backend.mkdir(dirname));
+      backend.writeFile('/srv/a/old', { mtime: backend.now() - 2 * HOUR });
+      const expire = new ExpireFS({
+        folder: '/srv/a',
+        backend,
+        expire: HOUR,
+        timeType: 'mtime',
+        removeEmptyDirs: true,
+        maxDeletesPerSecond: 20,
+        dry: false,
+        autoStart: false,
+        logger: { info: () => {}, warn: () => {} }
+      });
+
+      const start = Date.now();
+      const deleted = await expire.clean();
+      assert.strictEqual(deleted.length, 4);
+      // 4 deletions 50ms apart
+      assert.ok(Date.now() - start >= 140, `took ${Date.now() - start}ms`);
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExpireFS = require('../src');
+
+const HOUR = 3600 * 1000;
+
+/**
+ * @param {string} filename
+ * @param {number} ageMs - by mtime
+ */
+const write = (filename, ageMs) => {
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  fs.writeFileSync(filename, 'x');
+  const time = new Date(Date.now() - ageMs);
+  fs.utimesSync(filename, time, time);
+};
+
+describe('trash', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'expire-fs-trash-'));
+  });
+
+  afterEach(() => {
+    fs.rmdirSync(dir, { recursive: true });
+  });
+
+  const options = backend => ({
+    folder: path.join(dir, 'data'),
+    trash: path.join(dir, 'trash'),
+    expire: HOUR,
+    timeType: 'mtime',
+    backend,
+    dry: false,
+    autoStart: false,
+    logger: { info: () => {}, warn: () => {} }
+  });
+
+  it('moves expired files through the backend and restores them', async () => {
+    write(path.join(dir, 'data', 'sub', 'old.log'), 2 * HOUR);
+    write(path.join(dir, 'data', 'new.log'), 0);
+    const backend = new ExpireFS.FsBackend();
+    const moves = [];
+    const move = backend.move;
+    backend.move = function (from, to) {
+      moves.push([from, to]);
+      return move.call(this, from, to);
+    };
+    const expire = new ExpireFS(options(backend));
+
+    await expire.clean();
+    assert.deepStrictEqual(moves, [[path.join(dir, 'data', 'sub', 'old.log'), path.join(dir, 'trash', 'sub', 'old.log')]]);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'trash', 'sub', 'old.log'), 'utf8'), 'x');
+    assert.ok(!fs.existsSync(path.join(dir, 'data', 'sub', 'old.log')));
+
+    assert.strictEqual(await expire.restore(path.join(dir, 'data', 'sub', 'old.log')), path.join(dir, 'data', 'sub', 'old.log'));
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'data', 'sub', 'old.log'), 'utf8'), 'x');
+    assert.ok(!fs.existsSync(path.join(dir, 'trash', 'sub')));
+  });
+
+  it('needs a backend implementing move', () => {
+    class NoMoveBackend extends ExpireFS.FsBackend {
+    }
+    NoMoveBackend.prototype.move = undefined;
+    assert.throws(() => new ExpireFS(options(new NoMoveBackend())), /trash needs a backend implementing move/);
+    assert.throws(() => new ExpireFS(options(new ExpireFS.MemoryBackend())), /trash needs a backend implementing move/);
+  });
+});
@@ -0,0 +1,140 @@
+const assert = require('assert');
+const path = require('path');
+const { createLimiter, walk, OldestSet } = require('../src/walk');
+const ExpireMemoryBackend = require('../src/memory');
+const ExpireFS = require('../src');
+
+describe('walk', () => {
+  describe('OldestSet', () => {
+    it('keeps only the oldest items needed to reach the target', () => {
+      const set = new OldestSet({ target: 10, weight: item => item.size });
+      [
+        { time: 5, size: 4 },
+        { time: 1, size: 4 },
+        { time: 9, size: 4 },
+        { time: 3, size: 4 },
+        { time: 7, size: 4 }
+      ].forEach(item => set.add(item));
+
+      // 1 + 3 + 5 reach 12 >= 10, dropping 5 would leave 8
+      assert.deepStrictEqual(set.values().map(item => item.time), [5, 3, 1]);
+    });
+
+    it('matches sorting everything, whatever the insertion order', () => {
+      let seed = 42;
+      const random = () => {
+        seed = (seed * 16807) % 2147483647;
+        return seed / 2147483647;
+      };
+      const items = [];
+      for (let i = 0; i < 500; i++) {
+        items.push({ time: Math.floor(random() * 1e6), size: 1 + Math.floor(random() * 100) });
+      }
+
+      const set = new OldestSet({ target: 5000, weight: item => item.size });
+      items.forEach(item => set.add(item));
+
+      const expected = [];
+      let sum = 0;
+      items.slice().sort((a, b) => a.time - b.time).some((item) => {
+        expected.push(item);
+        sum += item.size;
+        return sum >= 5000;
+      });
+      assert.deepStrictEqual(set.values(), expected.reverse());
+    });
+
+    it('keeps everything below the target', () => {
+      const set = new OldestSet({ target: 100, weight: () => 1 });
+      [3, 1, 2].forEach(time => set.add({ time }));
+      assert.strictEqual(set.size, 3);
+      assert.deepStrictEqual(set.values().map(item => item.time), [3, 2, 1]);
+    });
+
+    it('keeps the items evicted first by compare', () => {
+      // largest first
+      const set = new OldestSet({ target: 2, weight: () => 1, compare: (a, b) => b.size - a.size });
+      [{ size: 1 }, { size: 50 }, { size: 7 }, { size: 30 }].forEach(item => set.add(item));
+      assert.deepStrictEqual(set.values().map(item => item.size), [30, 50]);
+    });
+  });
+
+  describe('createLimiter', () => {
+    it('runs at most concurrency functions at once', async () => {
+      const limit = createLimiter(2);
+      let running = 0;
+      let max = 0;
+      const task = n => limit(async () => {
+        running++;
+        max = Math.max(max, running);
+        await new Promise(res => setTimeout(res, 5));
+        running--;
+        return n;
+      });
+      assert.deepStrictEqual(await Promise.all([1, 2, 3, 4, 5].map(task)), [1, 2, 3, 4, 5]);
+      assert.strictEqual(max, 2);
+    });
+
+    it('goes on after a rejection', async () => {
+      const limit = createLimiter(1);
+      await assert.rejects(limit(() => Promise.reject(new Error('boom'))), /boom/);
+      assert.strictEqual(await limit(() => 1), 1);
+    });
+
+    it('needs a positive integer concurrency', async () => {
+      const create = concurrency => new ExpireFS({
+        folder: '/srv/a',
+        backend: new ExpireMemoryBackend(),
+        concurrency,
+        autoStart: false
+      });
+      [0, -1, NaN, 1.5, '4'].forEach((concurrency) => {
+        assert.throws(() => create(concurrency), /concurrency should be a positive integer/);
+      });
+      assert.deepStrictEqual(await create(1).clean(), []);
+    });
+  });
+
+  describe('walk', () => {
+    const backend = () => {
+      const mem = new ExpireMemoryBackend();
+      mem.writeFile('/srv/a/one');
+      mem.writeFile('/srv/a/b/two');
+      mem.writeFile('/srv/a/.expire.json', { content: '{}' });
+      mem.writeFile('/srv/a/.expire-fs.lock', { content: '{}' });
+      mem.mkdir('/srv/empty');
+      return mem;
+    };
+
+    it('visits every file and reports remaining entries per dir', async () => {
+      const files = [];
+      const dirs = {};
+      await walk('/srv', {
+        backend: backend(),
+        limit: createLimiter(4),
+        onFile: (filename) => {
+          files.push(filename);
+          // pretend `one` was removed
+          return path.basename(filename) === 'one';
+        },
+        onDir: (dirname, counts) => {
+          dirs[dirname] = counts;
+        }
+      });
+      assert.deepStrictEqual(files.sort(), ['/srv/a/b/two', '/srv/a/one']);
+      assert.deepStrictEqual(dirs['/srv/a'], { entries: 4, remaining: 3 });
+      assert.deepStrictEqual(dirs['/srv/empty'], { entries: 0, remaining: 0 });
+    });
+
+    it('stops calling back once aborted', async () => {
+      const files = [];
+      await walk('/srv', {
+        backend: backend(),
+        limit: createLimiter(1),
+        onFile: filename => files.push(filename) && false,
+        aborted: () => files.length >= 1
+      });
+      assert.strictEqual(files.length, 1);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExpireFS = require('../src');
+
+const HOUR = 3600 * 1000;
+const wait = ms => new Promise(res => setTimeout(res, ms));
+
+/**
+ * @param {string} filename
+ * @param {number} ageMs - by mtime
+ */
+const write = (filename, ageMs) => {
+  fs.mkdirSync(path.dirname(filename), { recursive: true });
+  fs.writeFileSync(filename, 'x');
+  const time = new Date(Date.now() - ageMs);
+  fs.utimesSync(filename, time, time);
+};
+
+describe('incremental mode', () => {
+  let dir;
+  let expire;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'expire-fs-watch-'));
+    write(path.join(dir, 'a', 'young.tmp'), 0);
+  });
+
+  afterEach(async () => {
+    await expire.stop();
+    fs.rmdirSync(dir, { recursive: true });
+  });
+
+  it('applies watched changes to the kept tree', async () => {
+    expire = new ExpireFS({
+      folder: dir,
+      incremental: true,
+      expire: HOUR,
+      timeType: 'mtime',
+      dry: false,
+      autoStart: false
+    });
+    assert.deepStrictEqual(await expire.clean(), []);
+
+    write(path.join(dir, 'a', 'old.tmp'), 2 * HOUR);
+    write(path.join(dir, 'b', 'old.tmp'), 2 * HOUR);
+    await wait(200);
+
+    const deleted = (await expire.clean()).map(e => e.path).sort();
+    assert.deepStrictEqual(deleted, [path.join(dir, 'a', 'old.tmp'), path.join(dir, 'b', 'old.tmp')]);
+    assert.ok(fs.existsSync(path.join(dir, 'a', 'young.tmp')));
+  });
+
+  describe('watch limit', () => {
+    const watch = fs.watch;
+    let calls;
+
+    beforeEach(() => {
+      calls = 0;
+      fs.watch = () => {
+        calls++;
+        throw Object.assign(new Error('ENOSPC: System limit for number of file watchers reached'), { code: 'ENOSPC' });
+      };
+    });
+
+    afterEach(() => {
+      fs.watch = watch;
+    });
+
+    it('warns once and scans fully without watching again', async () => {
+      const warnings = [];
+      expire = new ExpireFS({
+        folder: dir,
+        incremental: true,
+        expire: HOUR,
+        timeType: 'mtime',
+        dry: false,
+        autoStart: false,
+        logger: { info: () => {}, warn: msg => warnings.push(msg) }
+      });
+      const errors = [];
+      expire.on('error', e => errors.push(e));
+
+      await expire.clean();
+      assert.strictEqual(calls, 1);
+      assert.strictEqual(warnings.length, 1);
+      assert.ok(/watch limit reached/.test(warnings[0]));
+      assert.deepStrictEqual(errors, []);
+
+      // full scans still find the changes
+      write(path.join(dir, 'a', 'old.tmp'), 2 * HOUR);
+      assert.deepStrictEqual((await expire.clean()).map(e => e.path), [path.join(dir, 'a', 'old.tmp')]);
+      assert.strictEqual(calls, 1);
+      assert.strictEqual(warnings.length, 1);
+    });
+  });
+});